@@ -24,6 +24,10 @@ export default defineConfig([
     },
     rules: {
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
+      'no-restricted-syntax': ['error', {
+        selector: "FunctionDeclaration[id.name='App'] VariableDeclarator[id.name=/^[A-Z]/] > ArrowFunctionExpression CallExpression[callee.name=/^use[A-Z]/]",
+        message: 'Declare stateful components outside App: one defined during its render remounts, and loses its state, every time App re-renders.',
+      }],
     },
   },
 ])
@@ -0,0 +1,95 @@
+// --- SERVICE WORKER ---
+//
+// Keeps the app shell (index.html and the built assets it references) in a
+// cache so the app opens offline; the library itself already lives in
+// IndexedDB. Also receives Web Share Target posts: the shared title, text,
+// url and image are parked in their own cache and the app is opened with
+// `?share=1`, where src/share.js picks them up.
+
+const SHELL_CACHE = 'shell-v1';
+// Keep in sync with src/share.js
+const SHARE_CACHE = 'share-target';
+const SHARE_DATA = '/__share/data';
+const SHARE_IMAGE = '/__share/image';
+
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/storeitnow-final.png', '/icons/icon-192.png', '/icons/icon-512.png'];
+
+// Hashed bundles are only known from the built index.html.
+const assetUrls = (html) => [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(m => m[1]);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const res = await fetch('/', { cache: 'no-cache' });
+    await cache.put('/', res.clone());
+    await cache.addAll([...new Set([...SHELL_URLS.slice(1), ...assetUrls(await res.text())])]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n !== SHELL_CACHE && n !== SHARE_CACHE).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+const receiveShare = async (request) => {
+  const form = await request.formData();
+  const cache = await caches.open(SHARE_CACHE);
+  const image = form.getAll('image').find(f => f instanceof File && f.type.startsWith('image/'));
+  await cache.put(SHARE_DATA, new Response(JSON.stringify({
+    title: form.get('title') || '',
+    text: form.get('text') || '',
+    url: form.get('url') || '',
+  }), { headers: { 'Content-Type': 'application/json' } }));
+  if (image) await cache.put(SHARE_IMAGE, new Response(image, { headers: { 'Content-Type': image.type } }));
+  else await cache.delete(SHARE_IMAGE);
+  return Response.redirect('/?share=1', 303);
+};
+
+// Bundles from earlier deploys that the current index.html no longer loads.
+const pruneAssets = async (cache, html) => {
+  const current = new Set(assetUrls(html));
+  const keys = await cache.keys();
+  await Promise.all(keys.filter(k => new URL(k.url).pathname.startsWith('/assets/') && !current.has(new URL(k.url).pathname)).map(k => cache.delete(k)));
+};
+
+// Pages: network first so deploys show up, the cached shell when offline.
+const navigate = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok && res.headers.get('content-type')?.includes('text/html')) {
+      await cache.put('/', res.clone());
+      res.clone().text().then(html => pruneAssets(cache, html));
+    }
+    return res;
+  } catch {
+    return (await cache.match('/')) || Response.error();
+  }
+};
+
+// Everything else from this origin: cache first, filled as it is used.
+const fromCache = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok && res.type === 'basic') cache.put(request, res.clone());
+  return res;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (request.method === 'POST' && url.pathname === '/share-target') {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+  if (request.method !== 'GET') return;
+  if (request.mode === 'navigate') event.respondWith(navigate(request));
+  else if (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname)) event.respondWith(fromCache(request));
+});
@@ -0,0 +1,159 @@
+// --- PROXY DISK CACHE ---
+//
+// Page results are stored as JSON next to the validators the origin sent
+// (ETag / Last-Modified), so an expired entry costs one conditional request
+// instead of a full refetch plus image probing. Preview images are downloaded
+// once and kept as small WebP thumbnails the app can load from the proxy, even
+// after the origin image is gone. Thumbnails are addressed by the sha1 of the
+// image URL; a sidecar file remembers that URL, so the thumbnail endpoint only
+// ever fetches images a page result pointed at.
+
+import { mkdir, readFile, writeFile, readdir, stat, unlink, utimes } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import process from 'node:process';
+
+export const CACHE_DIR = process.env.PROXY_CACHE_DIR || fileURLToPath(new URL('../.proxy-cache', import.meta.url));
+
+const PAGES_DIR = path.join(CACHE_DIR, 'pages');
+const THUMBS_DIR = path.join(CACHE_DIR, 'thumbs');
+
+// Served without asking the origin for this long, then revalidated.
+export const FRESH_MS = 6 * 60 * 60 * 1000;
+// Files untouched for longer are removed on start.
+const MAX_AGE_MS = 60 * 24 * 60 * 60 * 1000;
+
+export const THUMB_WIDTH = 640;
+export const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+
+export const cacheId = (key) => createHash('sha1').update(key).digest('hex');
+
+// Thumbnail ids are sha1 hex; anything else never reaches the filesystem.
+export const isCacheId = (id) => /^[a-f0-9]{40}$/.test(id);
+
+const pageFile = (key) => path.join(PAGES_DIR, `${cacheId(key)}.json`);
+const thumbFile = (id) => path.join(THUMBS_DIR, `${id}.webp`);
+const thumbSourceFile = (id) => path.join(THUMBS_DIR, `${id}.json`);
+
+// { url, etag, lastModified, fetchedAt, result } or null.
+export const readPage = async (key) => {
+  try {
+    return JSON.parse(await readFile(pageFile(key), 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+export const writePage = async (key, entry) => {
+  await mkdir(PAGES_DIR, { recursive: true });
+  await writeFile(pageFile(key), JSON.stringify(entry));
+};
+
+export const isFresh = (entry, now = Date.now()) => now - entry.fetchedAt < FRESH_MS;
+
+// Request headers that let the origin answer 304 Not Modified.
+export const conditionalHeaders = (entry) => ({
+  ...(entry?.etag ? { 'If-None-Match': entry.etag } : {}),
+  ...(entry?.lastModified ? { 'If-Modified-Since': entry.lastModified } : {}),
+});
+
+export const validators = (response) => ({
+  etag: response.headers.get('etag') || null,
+  lastModified: response.headers.get('last-modified') || null,
+});
+
+// sharp is optional: without it the proxy simply doesn't offer thumbnails.
+let sharpLoader = null;
+const loadSharp = () => {
+  if (!sharpLoader) sharpLoader = import('sharp').then(m => m.default).catch(err => {
+    console.warn(`Thumbnails disabled (sharp unavailable: ${err.message})`);
+    return null;
+  });
+  return sharpLoader;
+};
+
+const exists = async (file) => {
+  try {
+    await stat(file);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Remember an image a page result chose; resolves to its thumbnail id.
+export const registerThumbnail = async (imageUrl) => {
+  const id = cacheId(imageUrl);
+  if (!(await exists(thumbSourceFile(id)))) {
+    await mkdir(THUMBS_DIR, { recursive: true });
+    await writeFile(thumbSourceFile(id), JSON.stringify({ url: imageUrl }));
+  }
+  return id;
+};
+
+const generating = new Map();
+
+const generateThumbnail = async (id, fetchImage) => {
+  const sharp = await loadSharp();
+  if (!sharp) return null;
+  let source;
+  try {
+    source = JSON.parse(await readFile(thumbSourceFile(id), 'utf8')).url;
+  } catch {
+    return null;
+  }
+  try {
+    const r = await fetchImage(source);
+    if (!r.ok || !/^image\//i.test(r.headers.get('content-type') || '')) return null;
+    if (Number(r.headers.get('content-length')) > MAX_IMAGE_BYTES) return null;
+    const input = await r.buffer();
+    if (input.length > MAX_IMAGE_BYTES) return null;
+    const output = await sharp(input, { animated: false })
+      .rotate()
+      .resize({ width: THUMB_WIDTH, height: THUMB_WIDTH, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 78 })
+      .toBuffer();
+    await writeFile(thumbFile(id), output);
+    return thumbFile(id);
+  } catch (e) {
+    console.warn(`Thumbnail failed for ${source}: ${e.message}`);
+    return null;
+  }
+};
+
+// Path of the thumbnail for `id`, downloading and resizing it on first use; null when unavailable.
+// `fetchImage(url)` is the proxy's fetch with its headers and timeout.
+export const ensureThumbnail = async (id, fetchImage) => {
+  if (!isCacheId(id)) return null;
+  const file = thumbFile(id);
+  if (await exists(file)) {
+    const now = new Date();
+    await utimes(file, now, now).catch(() => {});
+    return file;
+  }
+  if (!generating.has(id)) generating.set(id, generateThumbnail(id, fetchImage).finally(() => generating.delete(id)));
+  return generating.get(id);
+};
+
+// Remove cache files nobody has written for MAX_AGE_MS.
+export const pruneCache = async (now = Date.now()) => {
+  let removed = 0;
+  for (const dir of [PAGES_DIR, THUMBS_DIR]) {
+    let names = [];
+    try {
+      names = await readdir(dir);
+    } catch {
+      continue;
+    }
+    for (const name of names) {
+      const file = path.join(dir, name);
+      try {
+        if (now - (await stat(file)).mtimeMs > MAX_AGE_MS) { await unlink(file); removed += 1; }
+      } catch {
+        // already gone
+      }
+    }
+  }
+  return removed;
+};
@@ -0,0 +1,150 @@
+import * as cheerio from 'cheerio';
+import { ARTICLE_TAGS, ARTICLE_DROP_TAGS, countWords, readingMinutes, safeUrl } from '../src/reader.js';
+
+// Collect the raw tags summarizeMetadata() works from, mirroring collectFromDocument() in the app.
+export const collectFromHtml = (html) => {
+  const $ = cheerio.load(html);
+
+  const meta = {};
+  $('meta').each((_, el) => {
+    const $el = $(el);
+    const key = ($el.attr('property') || $el.attr('name') || $el.attr('itemprop') || $el.attr('http-equiv') || '').toLowerCase();
+    const content = $el.attr('content');
+    if (key && content && !(key in meta)) meta[key] = content;
+  });
+
+  const itemprops = {};
+  $('[itemprop]').each((_, el) => {
+    const $el = $(el);
+    const key = $el.attr('itemprop');
+    if (!(key in itemprops)) itemprops[key] = $el.attr('content') || $el.attr('datetime') || $el.text();
+  });
+
+  const jsonLd = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try { jsonLd.push(JSON.parse($(el).contents().text())); } catch { /* malformed block */ }
+  });
+
+  return {
+    title: $('title').first().text(),
+    lang: $('html').attr('lang'),
+    meta,
+    links: $('link[rel]').toArray().map(el => ({ rel: $(el).attr('rel'), href: $(el).attr('href'), type: $(el).attr('type') })),
+    jsonLd,
+    itemprops,
+    // in-page images as a last resort for the preview (first few)
+    images: $('img').toArray()
+      .map(el => $(el).attr('src') || $(el).attr('data-src'))
+      .filter(src => src && !/^(data:|javascript:)/i.test(src))
+      .slice(0, 12),
+  };
+};
+
+// Reduce an oEmbed response to what the app shows.
+export const summarizeOembed = (o) => {
+  if (!o || typeof o !== 'object') return null;
+  return {
+    type: o.type || null,
+    provider: o.provider_name || null,
+    title: o.title || null,
+    author: o.author_name || null,
+    thumbnail: o.thumbnail_url || null,
+    width: o.width || null,
+    height: o.height || null,
+  };
+};
+
+// Page chrome that never belongs to the main content.
+const BOILERPLATE = 'nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"], [hidden]';
+// Matched against whole class / id tokens, as the token or its first word:
+// "comments" and "share-buttons" are noise, "has-sidebar" and "article-share-wrap" are not.
+const NOISE_HINT = /^(?:comment|share|social|related|promo|newsletter|subscribe|cookie|banner|sidebar|advert|sponsor|footer|breadcrumb|popup|modal)s?(?:[-_].*)?$/i;
+// Paragraphs inside noisy containers still count, at this weight, so a wrapper
+// that only looks noisy can still win when it holds the article.
+const NOISE_WEIGHT = 0.2;
+
+const isNoisy = ($el) => `${$el.attr('class') || ''} ${$el.attr('id') || ''}`.split(/\s+/).some(token => NOISE_HINT.test(token));
+
+const escapeHtml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Readability-style pick: paragraphs vote for their parent (and half for the grandparent),
+// link-heavy containers are penalised, and the best-scoring container wins.
+const pickContentRoot = ($, noisy) => {
+  const scores = new Map();
+  $('p, pre, blockquote').each((_, el) => {
+    const text = $(el).text().trim();
+    if (text.length < 25) return;
+    const weight = $(el).parents().toArray().some(p => noisy.has(p)) ? NOISE_WEIGHT : 1;
+    const score = weight * (1 + text.split(',').length + Math.min(3, Math.floor(text.length / 100)));
+    const parent = el.parent;
+    const grand = parent?.parent;
+    if (parent?.type === 'tag') scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grand?.type === 'tag') scores.set(grand, (scores.get(grand) || 0) + score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const $el = $(el);
+    const textLength = $el.text().length || 1;
+    const linkDensity = $el.find('a').text().length / textLength;
+    const adjusted = score * (1 - linkDensity);
+    if (adjusted > bestScore) { best = el; bestScore = adjusted; }
+  }
+  if (best) return $(best);
+  const fallback = $('article, main, [role="main"]').first();
+  return fallback.length ? fallback : $('body');
+};
+
+// Rebuild the chosen subtree keeping only ARTICLE_TAGS; divs and sections with
+// inline-only content become paragraphs so text does not run together.
+const serializeArticle = (root, pageUrl) => {
+  const BLOCKS = new Set(['p', 'h2', 'h3', 'h4', 'ul', 'ol', 'blockquote', 'pre', 'figure', 'table', 'div', 'section', 'article', 'main', 'h1', 'h5', 'h6']);
+  const walk = (node) => {
+    if (node.type === 'text') return escapeHtml(node.data);
+    if (node.type !== 'tag') return '';
+    let tag = node.name.toLowerCase();
+    if (ARTICLE_DROP_TAGS.includes(tag)) return '';
+    const inner = (node.children || []).map(walk).join('');
+    if (tag === 'h1' || tag === 'h5' || tag === 'h6') tag = tag === 'h1' ? 'h2' : 'h4';
+    if (['div', 'section', 'article', 'main'].includes(tag)) {
+      const hasBlocks = (node.children || []).some(c => c.type === 'tag' && BLOCKS.has(c.name.toLowerCase()));
+      return hasBlocks || !inner.trim() ? inner : `<p>${inner}</p>`;
+    }
+    if (!ARTICLE_TAGS.includes(tag)) return inner;
+    if (tag === 'br' || tag === 'hr') return `<${tag}>`;
+    if (tag === 'img') {
+      const src = safeUrl(node.attribs?.src || node.attribs?.['data-src'], pageUrl);
+      return src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(node.attribs?.alt || '')}">` : '';
+    }
+    if (!inner.trim()) return '';
+    if (tag === 'a') {
+      const href = safeUrl(node.attribs?.href, pageUrl);
+      return href ? `<a href="${escapeHtml(href)}">${inner}</a>` : inner;
+    }
+    return `<${tag}>${inner}</${tag}>`;
+  };
+  return walk(root.get(0)).trim();
+};
+
+// Main content of an article page as sanitized HTML plus reading stats.
+export const extractArticle = (html, pageUrl) => {
+  const $ = cheerio.load(html);
+  $(ARTICLE_DROP_TAGS.join(', ')).remove();
+  $(BOILERPLATE).remove();
+  const noisy = new Set($('[class], [id]').toArray().filter(el => isNoisy($(el)) && !$(el).is('article, main, body')));
+
+  const root = pickContentRoot($, noisy);
+  // never drop the chosen content or a wrapper around it
+  const main = root.get(0);
+  noisy.forEach(el => { if (el !== main && !cheerio.contains(el, main)) $(el).remove(); });
+
+  const text = root.text().replace(/\s+/g, ' ').trim();
+  const words = countWords(text);
+  return {
+    html: serializeArticle(root, pageUrl),
+    excerpt: text.slice(0, 280),
+    wordCount: words,
+    readingMinutes: readingMinutes(words),
+  };
+};
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractArticle } from './extract.js';
+
+const paragraphs = (words, n = 6) => Array.from({ length: n }, (_, i) => `<p>${words} paragraph ${i + 1}, long enough to count as real content, with a few commas, and some more words.</p>`).join('');
+
+const page = (body) => `<!doctype html><html><body>${body}</body></html>`;
+
+test('keeps a content wrapper whose class or id merely contains a noise word', () => {
+  for (const wrapper of ['<div class="has-sidebar">', '<div id="content-with-comments">', '<div class="article-share-wrap">']) {
+    const { html, wordCount } = extractArticle(page(`${wrapper}${paragraphs('Story')}</div>`), 'https://example.com/a');
+    assert.match(html, /Story paragraph 1,/, wrapper);
+    assert.ok(wordCount > 50, wrapper);
+  }
+});
+
+test('never removes a noisy-looking element that holds the article', () => {
+  const { html } = extractArticle(page(`<div class="share-wrapper"><div class="entry">${paragraphs('Story')}</div></div>`), 'https://example.com/a');
+  assert.match(html, /Story paragraph 6,/);
+});
+
+test('still drops comments, share bars and related links around the article', () => {
+  const { html } = extractArticle(page(`
+    <div class="post">
+      ${paragraphs('Story')}
+      <div class="share-buttons"><p>Share this on every network you have ever heard of, please.</p></div>
+    </div>
+    <section id="comments">${paragraphs('Comment', 3)}</section>
+    <ul class="related"><li><a href="/b">Related story with a fairly long headline</a></li></ul>
+  `), 'https://example.com/a');
+  assert.match(html, /Story paragraph 1,/);
+  assert.doesNotMatch(html, /Share this/);
+  assert.doesNotMatch(html, /Comment paragraph/);
+  assert.doesNotMatch(html, /Related story/);
+});
@@ -0,0 +1,190 @@
+// --- OUTBOUND REQUEST GUARD ---
+//
+// The proxy fetches URLs it is handed, so every outbound request goes through
+// `safeFetch`: http(s) only, no private, loopback or link-local targets (the
+// check runs again on every redirect hop and at connect time, so DNS answers
+// that change between the check and the request don't get through), a
+// redirect limit and a body size cap. The middleware below guards the
+// proxy's own surface: allowed CORS origins, an optional shared token and a
+// per-client rate limit. Settings come from the environment:
+//   PROXY_ALLOWED_ORIGINS  comma-separated origins allowed to call the proxy
+//   PROXY_TOKEN            when set, required as `X-Proxy-Token` (or ?token=)
+//   PROXY_RATE_LIMIT       requests per client per minute (default 120)
+//   PROXY_ALLOW_PRIVATE=1  lets the proxy reach private addresses (local testing only)
+
+import fetch from 'node-fetch';
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import { timingSafeEqual } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import process from 'node:process';
+
+export const MAX_REDIRECTS = 5;
+export const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const DEFAULT_ORIGINS = ['http://localhost:5173', 'http://127.0.0.1:5173', 'http://localhost:4173', 'http://127.0.0.1:4173'];
+const RATE_WINDOW_MS = 60 * 1000;
+
+const allowPrivate = process.env.PROXY_ALLOW_PRIVATE === '1';
+
+export class BlockedRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockedRequestError';
+  }
+}
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([net4, prefix]) => blocked.addSubnet(net4, prefix, 'ipv4'));
+// IPv4-mapped addresses (::ffff:a.b.c.d) are checked against the IPv4 rules by BlockList itself
+[
+  // unspecified, loopback and IPv4-compatible; NAT64; documentation; unique local; link-local; multicast
+  ['::', 96], ['64:ff9b::', 96], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+  // 6to4 and Teredo tunnel to an embedded IPv4 address (2002:7f00:1:: is 127.0.0.1); both are deprecated, so blocked outright
+  ['2002::', 16], ['2001::', 32],
+].forEach(([net6, prefix]) => blocked.addSubnet(net6, prefix, 'ipv6'));
+
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Resolver for the outbound agents: refuses names that resolve anywhere private.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!allowPrivate && addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(new BlockedRequestError(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const agents = {
+  'http:': new http.Agent({ keepAlive: true, lookup: guardedLookup }),
+  'https:': new https.Agent({ keepAlive: true, lookup: guardedLookup }),
+};
+
+// Throws BlockedRequestError for anything the proxy must not request; resolves to the parsed URL.
+export const assertPublicUrl = async (raw) => {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    throw new BlockedRequestError('not a valid URL');
+  }
+  if (!/^https?:$/.test(url.protocol)) throw new BlockedRequestError(`${url.protocol} URLs are not fetched`);
+  if (url.username || url.password) throw new BlockedRequestError('URLs with credentials are not fetched');
+  if (allowPrivate) return url;
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    if (isPrivateAddress(host)) throw new BlockedRequestError(`${host} is a private address`);
+    return url;
+  }
+  if (!host.includes('.') || /\.(localhost|local|internal)$/i.test(host)) throw new BlockedRequestError(`${host} is not a public host`);
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw new BlockedRequestError(`${host} does not resolve`);
+  }
+  if (addresses.some(a => isPrivateAddress(a.address))) throw new BlockedRequestError(`${host} resolves to a private address`);
+  return url;
+};
+
+// node-fetch with the checks above. Redirects are followed here, hop by hop;
+// the response's `url` is where it ended up. `size` caps the body (node-fetch
+// rejects reading past it).
+export const safeFetch = async (raw, { maxRedirects = MAX_REDIRECTS, size = MAX_BODY_BYTES, ...options } = {}) => {
+  let url = raw;
+  for (let hop = 0; ; hop++) {
+    const target = await assertPublicUrl(url);
+    const r = await fetch(target.href, { ...options, size, redirect: 'manual', agent: agents[target.protocol] });
+    const location = r.headers.get('location');
+    if (r.status < 300 || r.status >= 400 || r.status === 304 || !location) {
+      if (Number(r.headers.get('content-length')) > size) throw new BlockedRequestError('response too large');
+      return r;
+    }
+    if (hop >= maxRedirects) throw new BlockedRequestError('too many redirects');
+    url = new URL(location, target).href;
+    // 303 (and browsers' handling of 301/302 after a POST) turns the next hop into a GET
+    if (r.status === 303 || (options.method && options.method !== 'GET' && options.method !== 'HEAD' && r.status !== 307 && r.status !== 308)) {
+      options = { ...options, method: 'GET', body: undefined };
+    }
+  }
+};
+
+// --- Middleware ---
+
+const allowedOrigins = new Set((process.env.PROXY_ALLOWED_ORIGINS || DEFAULT_ORIGINS.join(','))
+  .split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean));
+
+// Browsers send Origin on cross-site calls; other origins get a 403 instead of a readable answer.
+export const cors = (req, res, next) => {
+  res.setHeader('Vary', 'Origin');
+  const origin = req.get('origin');
+  if (origin) {
+    if (!allowedOrigins.has('*') && !allowedOrigins.has(origin)) return res.status(403).json({ error: 'origin not allowed' });
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', 'GET');
+    res.setHeader('Access-Control-Allow-Headers', 'X-Proxy-Token');
+    res.setHeader('Access-Control-Max-Age', '600');
+    return res.status(204).end();
+  }
+  next();
+};
+
+const sameSecret = (a, b) => {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && timingSafeEqual(x, y);
+};
+
+export const requireToken = (req, res, next) => {
+  const token = process.env.PROXY_TOKEN;
+  if (!token || sameSecret(req.get('x-proxy-token') || req.query.token, token)) return next();
+  res.status(401).json({ error: 'token required' });
+};
+
+// Fixed one-minute windows per client address.
+export const rateLimit = ({ max = Number(process.env.PROXY_RATE_LIMIT) || 120, windowMs = RATE_WINDOW_MS } = {}) => {
+  const clients = new Map();
+  setInterval(() => {
+    const now = Date.now();
+    clients.forEach((entry, ip) => { if (entry.resetAt <= now) clients.delete(ip); });
+  }, windowMs).unref();
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = clients.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      clients.set(req.ip, entry);
+    }
+    entry.count += 1;
+    res.setHeader('X-RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    if (entry.count <= max) return next();
+    res.setHeader('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+    res.status(429).json({ error: 'too many requests' });
+  };
+};
+
+// Rejects a missing or disallowed `url` query parameter before any route work.
+export const requireTargetUrl = async (req, res, next) => {
+  if (!req.query.url) return res.status(400).json({ error: 'url required' });
+  try {
+    await assertPublicUrl(String(req.query.url));
+    next();
+  } catch (e) {
+    res.status(e instanceof BlockedRequestError ? 403 : 400).json({ error: 'url not allowed', detail: e.message });
+  }
+};
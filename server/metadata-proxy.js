@@ -1,60 +1,93 @@
 #!/usr/bin/env node
 import express from 'express';
-import fetch from 'node-fetch';
-const app = express();
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import { summarizeMetadata } from '../src/metadata.js';
+import { canonicalizeUrl, parseUserUrl } from '../src/url.js';
+import { collectFromHtml, summarizeOembed, extractArticle } from './extract.js';
+import { readPage, writePage, isFresh, conditionalHeaders, validators, registerThumbnail, ensureThumbnail, pruneCache, MAX_IMAGE_BYTES } from './cache.js';
+import { safeFetch, BlockedRequestError, cors, requireToken, rateLimit, requireTargetUrl } from './guard.js';
+export const app = express();
 const PORT = process.env.PORT || 4000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; QuietCapture/1.0)';
 
-app.use((req, res, next) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  next();
-});
+app.use(cors);
+
+// everything that makes the proxy fetch a URL someone passed in
+const guarded = [rateLimit(), requireToken, requireTargetUrl];
+// thumbnails take an id rather than a URL, and come in bursts (one per card), so they get their own budget
+const thumbGuarded = [rateLimit(), requireToken];
+
+const blockedResponse = (res, e) => res.status(403).json({ error: 'url not allowed', detail: e.message });
+
+const fetchImage = (src) => safeFetch(src, { headers: { 'User-Agent': USER_AGENT, 'Accept': 'image/*' }, timeout: 8000, size: MAX_IMAGE_BYTES });
+
+// Cached results keep the thumbnail id; the URL depends on how the proxy was reached.
+// <img> can't send headers, so a configured token rides along as ?token=.
+const withThumbnail = (req, { thumbnailId, ...result }) => {
+  const token = process.env.PROXY_TOKEN ? `?token=${encodeURIComponent(process.env.PROXY_TOKEN)}` : '';
+  return {
+    ...result,
+    thumbnail: thumbnailId ? `${req.protocol}://${req.get('host')}/thumb/${thumbnailId}.webp${token}` : null,
+  };
+};
 
-app.get('/fetch', async (req, res) => {
+app.get('/fetch', guarded, async (req, res) => {
   const url = req.query.url;
-  if (!url) return res.status(400).json({ error: 'url required' });
+  const key = canonicalizeUrl(url);
+  const cached = await readPage(key);
+  // ?revalidate=1 (the app's "Refresh preview") skips the freshness window but still allows a 304
+  if (cached && !req.query.revalidate && isFresh(cached)) {
+    res.setHeader('X-Cache', 'HIT');
+    return res.json(withThumbnail(req, cached.result));
+  }
+  const serveStale = () => {
+    res.setHeader('X-Cache', 'STALE');
+    res.json(withThumbnail(req, cached.result));
+  };
   try {
-    const r = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0 (compatible; QuietCapture/1.0)' }, timeout: 5000 });
-    if (!r.ok) return res.status(502).json({ error: 'bad upstream' });
+    const r = await safeFetch(url, { headers: { 'User-Agent': USER_AGENT, ...conditionalHeaders(cached) }, timeout: 5000 });
+    if (r.status === 304 && cached) {
+      await writePage(key, { ...cached, fetchedAt: Date.now() });
+      res.setHeader('X-Cache', 'REVALIDATED');
+      return res.json(withThumbnail(req, cached.result));
+    }
+    if (!r.ok) return cached ? serveStale() : res.status(502).json({ error: 'bad upstream' });
     const html = await r.text();
-    // simple regex extraction (sufficient for common pages)
-    const ogTitleMatch = html.match(/<meta[^>]*property=["']og:title["'][^>]*content=["']([^"']+)["'][^>]*>/i);
-    const twitterTitleMatch = html.match(/<meta[^>]*name=["']twitter:title["'][^>]*content=["']([^"']+)["'][^>]*>/i);
-    const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-
-    // Gather possible image candidates
-    const candidates = new Set();
-    const ogImageMatch = html.match(/<meta[^>]*property=["']og:image["'][^>]*content=["']([^"']+)["'][^>]*>/i);
-    const twitterImageMatch = html.match(/<meta[^>]*name=["']twitter:image["'][^>]*content=["']([^"']+)["'][^>]*>/i) || html.match(/<meta[^>]*property=["']twitter:image["'][^>]*content=["']([^"']+)["'][^>]*>/i);
-    const linkImageMatch = html.match(/<link[^>]*rel=["']image_src["'][^>]*href=["']([^"']+)["'][^>]*>/i);
-    if (ogImageMatch && ogImageMatch[1]) candidates.add(ogImageMatch[1]);
-    if (twitterImageMatch && twitterImageMatch[1]) candidates.add(twitterImageMatch[1]);
-    if (linkImageMatch && linkImageMatch[1]) candidates.add(linkImageMatch[1]);
-
-    // collect <img src> occurrences (first few)
-    const imgMatches = Array.from(html.matchAll(/<img[^>]*src=["']([^"']+)["'][^>]*>/ig)).map(m=>m[1]).slice(0, 12);
-    imgMatches.forEach(s => {
-      if (s && !/^(data:|javascript:)/i.test(s)) candidates.add(s);
-    });
+    // the page we actually landed on after redirects
+    const pageUrl = r.url || url;
+    const raw = collectFromHtml(html);
+    const page = summarizeMetadata(raw, pageUrl);
+
+    // oEmbed discovery (video/media sites advertise a JSON endpoint)
+    let oembed = null;
+    if (page.oembedUrl) {
+      try {
+        const ro = await safeFetch(page.oembedUrl, { headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' }, timeout: 3000 });
+        if (ro.ok) oembed = summarizeOembed(await ro.json());
+      } catch (e) {
+        console.warn(`oEmbed lookup failed for ${page.oembedUrl}: ${e.message}`);
+      }
+    }
 
     // helper to validate an image candidate (HEAD and content-type)
     const validateImage = async (src) => {
       try {
-        const abs = new URL(src, url).href;
-        const rimg = await fetch(abs, { method: 'HEAD', timeout: 3000, headers: { 'User-Agent': 'Mozilla/5.0 (compatible; QuietCapture/1.0)' } });
+        const abs = new URL(src, pageUrl).href;
+        const rimg = await safeFetch(abs, { method: 'HEAD', timeout: 3000, headers: { 'User-Agent': USER_AGENT } });
         if (!rimg.ok) return null;
         const ct = rimg.headers.get('content-type') || '';
         if (!/image\//i.test(ct)) return null;
         return abs;
-      } catch (e) {
+      } catch {
         return null;
       }
     };
 
     // try to pick a suitable image (validate candidate list in order of preference)
     let chosenImage = null;
-    const ranking = [ ...(ogImageMatch && ogImageMatch[1] ? [ogImageMatch[1]] : []), ...(twitterImageMatch && twitterImageMatch[1] ? [twitterImageMatch[1]] : []), ...(linkImageMatch && linkImageMatch[1] ? [linkImageMatch[1]] : []), ...imgMatches ];
+    const ranking = [...new Set([...page.imageCandidates, ...(oembed?.thumbnail ? [oembed.thumbnail] : []), ...raw.images])];
     for (const c of ranking) {
-      if (!c) continue;
       // skip obvious logos and icons
       if (/logo|icon|sprite|ads?|badge|googlesyndication/i.test(c)) continue;
       const ok = await validateImage(c);
@@ -62,15 +95,94 @@ app.get('/fetch', async (req, res) => {
     }
 
     const json = {
-      title: (ogTitleMatch && ogTitleMatch[1]) || (twitterTitleMatch && twitterTitleMatch[1]) || (titleMatch && titleMatch[1]) || null,
+      title: page.title || oembed?.title || null,
       image: chosenImage || null,
-      site: (new URL(url)).hostname.replace(/^www\./,'')
+      site: (new URL(pageUrl)).hostname.replace(/^www\./,''),
+      price: page.price,
+      description: page.description,
+      canonicalUrl: page.canonicalUrl,
+      author: page.author || oembed?.author || null,
+      publishedAt: page.publishedAt,
+      contentType: page.contentType || (oembed?.type === 'video' ? 'video' : null),
+      siteName: page.siteName || oembed?.provider || null,
+      favicon: page.favicon,
+      language: page.language,
+      jsonLd: page.jsonLd,
+      oembed
     };
 
-    res.json(json);
+    // download and resize in the background; /thumb waits for it if the app asks first
+    const thumbnailId = chosenImage ? await registerThumbnail(chosenImage) : null;
+    if (thumbnailId) ensureThumbnail(thumbnailId, fetchImage);
+
+    await writePage(key, { url, ...validators(r), fetchedAt: Date.now(), result: { ...json, thumbnailId } });
+    res.setHeader('X-Cache', 'MISS');
+    res.json(withThumbnail(req, { ...json, thumbnailId }));
   } catch (e) {
+    if (e instanceof BlockedRequestError) return blockedResponse(res, e);
+    if (cached) return serveStale();
     res.status(500).json({ error: 'fetch failed' });
   }
 });
 
-app.listen(PORT, () => console.log(`Metadata proxy listening on http://localhost:${PORT}`));
+// Resized preview images; ids come from /fetch results and never change meaning
+app.get('/thumb/:file', thumbGuarded, async (req, res) => {
+  const id = req.params.file.replace(/\.webp$/, '');
+  const file = await ensureThumbnail(id, fetchImage);
+  if (!file) return res.status(404).json({ error: 'no thumbnail' });
+  res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+  res.type('image/webp').sendFile(file);
+});
+
+// Follow redirects (short links) and honor <link rel="canonical"> so the app can dedupe on one URL
+app.get('/resolve', guarded, async (req, res) => {
+  const url = req.query.url;
+  try {
+    const r = await safeFetch(url, { headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html' }, timeout: 5000 });
+    const finalUrl = r.url || url;
+    let canonical = null;
+    if (r.ok && /text\/html/i.test(r.headers.get('content-type') || '')) {
+      const declared = summarizeMetadata(collectFromHtml(await r.text()), finalUrl).canonicalUrl;
+      // some sites point every page's canonical at the homepage or another host; only trust same-site paths
+      const a = parseUserUrl(declared);
+      const b = parseUserUrl(finalUrl);
+      if (a && b && a.hostname.replace(/^www\./, '') === b.hostname.replace(/^www\./, '') && a.pathname !== '/') canonical = declared;
+    }
+    res.json({ url: canonicalizeUrl(canonical || finalUrl), finalUrl, canonical });
+  } catch (e) {
+    if (e instanceof BlockedRequestError) return blockedResponse(res, e);
+    res.status(502).json({ error: 'resolve failed', detail: e.message });
+  }
+});
+
+// Reader mode: the page's main content, cleaned for offline reading
+app.get('/article', guarded, async (req, res) => {
+  const url = req.query.url;
+  try {
+    const r = await safeFetch(url, { headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html' }, timeout: 8000 });
+    if (!r.ok) return res.status(502).json({ error: 'bad upstream' });
+    const html = await r.text();
+    const pageUrl = r.url || url;
+    const page = summarizeMetadata(collectFromHtml(html), pageUrl);
+    const article = extractArticle(html, pageUrl);
+    if (!article.wordCount) return res.status(422).json({ error: 'no readable content' });
+    res.json({
+      url: pageUrl,
+      title: page.title,
+      byline: page.author,
+      publishedAt: page.publishedAt,
+      siteName: page.siteName,
+      language: page.language,
+      ...article
+    });
+  } catch (e) {
+    if (e instanceof BlockedRequestError) return blockedResponse(res, e);
+    res.status(500).json({ error: 'article extraction failed' });
+  }
+});
+
+// Started with `npm run proxy`; tests import `app` and listen themselves.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  pruneCache().then(n => { if (n) console.log(`Pruned ${n} stale cache files`); });
+  app.listen(PORT, () => console.log(`Metadata proxy listening on http://localhost:${PORT}`));
+}
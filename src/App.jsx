@@ -1,9 +1,34 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import './App.css';
-import { Plus, ArrowLeft, Trash2, ExternalLink, X, Image as ImageIcon, Link as LinkIcon, CheckCircle2, Clipboard, LayoutGrid, List, Camera, Archive, RotateCcw, PenLine, FileDown, MoreVertical } from 'lucide-react';
+import { Plus, ArrowLeft, Trash2, ExternalLink, X, Image as ImageIcon, Link as LinkIcon, CheckCircle2, Clipboard, LayoutGrid, List, Camera, Archive, RotateCcw, PenLine, FileDown, MoreVertical, AlertTriangle, Download, Upload, Search, SlidersHorizontal, Tag, Hash, RefreshCw, TrendingDown, TrendingUp, Hourglass, Sprout, BookOpen, CheckSquare, Circle, Undo2, Redo2, ArrowUpDown, Layers, FileText, ListPlus, BookmarkPlus, Settings, Database, Palette, Pin, PinOff, ChevronLeft, ChevronRight, FolderPlus, FolderTree } from 'lucide-react';
+import { loadDatabase, persistChanges, saveImage, imageUrlFor, dataUrlToBlob, saveArticle, getArticle, saveHistory, loadHistory, pruneOrphans, StorageQuotaError } from './storage.js';
+import { EMPTY_HISTORY, diffSnapshots, pushEntry, applyEntry, restorableItemIds, restorableImageIds } from './undo.js';
+import { useReorder, FINE_POINTER } from './reorder.js';
+import { SORT_MODES, GROUP_MODES, sortItems, groupItems, topPosition, reorderPositions, assignMissingPositions } from './sorting.js';
+import { TRASH_RETENTION_CHOICES, DEFAULT_TRASH_RETENTION_DAYS, trashItemEntry, trashBucketEntry, trashedItems, retentionDays, expiresAt, expiredEntries } from './trash.js';
+import { bucketToMarkdown, libraryToMarkdown, parseUrlList } from './markdown.js';
+import { getCachedMetadata, putCachedMetadata, removeCachedMetadata, clearExpiredMetadata, clearMetadataCache, inspectMetadataCache, META_CACHE_TTL_MS, META_CACHE_MAX_ENTRIES } from './metaCache.js';
+import { createEnrichQueue, backoffDelay, MAX_ENRICH_ATTEMPTS } from './enrichQueue.js';
+import { BOOKMARK_FORMATS, parseBookmarkFile, folderCounts } from './bookmarks.js';
+import { buildBackup, parseBackup, applyBackup, CONFLICT_STRATEGIES } from './backup.js';
+import { buildSearchIndex, searchIndex, highlightParts, snippetAround, DEFAULT_SEARCH_FILTERS } from './search.js';
+import { addTag, removeTag, hasTag, collectTags, suggestTags } from './tags.js';
+import { COOLING_OFF_CHOICES, parseCoolingFromIntent, coolingStatus, isRipe, formatRemaining, overrideLogLine } from './cooling.js';
+import { summarizeMetadata, collectFromDocument, pickDetails } from './metadata.js';
+import { canonicalizeUrl, urlKey, isShortLink, findDuplicate } from './url.js';
+import { recordPrice, priceChange, formatPrice, parsePriceAmount, normalizeCurrency } from './price.js';
+import { sanitizeArticleHtml, scrollProgress } from './reader.js';
+import { hasPendingShare, takePendingShare } from './share.js';
+import { routePath, parseRoute, resolveRoute } from './routes.js';
+import { SPACE_COLORS, VIEW_MODES, spaceColor, pinnedFirst, coverCandidates, coverItem, isTopLevel, topLevelBuckets, childBuckets, siblingBuckets, ancestors, descendants, parentChoices, spacePath, rolledUpCount } from './spaces.js';
 
 // --- UTILS ---
 
+// Load proxy URL from global (optional) or fallback
+const METADATA_PROXY = window.__METADATA_PROXY_URL || 'http://localhost:4000/fetch?url=';
+// matches PROXY_TOKEN when the proxy is started with one
+const PROXY_HEADERS = window.__METADATA_PROXY_TOKEN ? { 'X-Proxy-Token': window.__METADATA_PROXY_TOKEN } : {};
+
 const generateId = () => Math.random().toString(36).substr(2, 9);
 
 const getDomain = (url) => {
@@ -15,6 +40,16 @@ const getDomain = (url) => {
   }
 };
 
+const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
 const getFavicon = (url) => {
   if (!url) return null;
   try {
@@ -25,6 +60,27 @@ const getFavicon = (url) => {
   }
 };
 
+const createDefaultData = () => ({
+  buckets: [
+    { id: 'b1', name: 'Inspiration', emoji: '💡', viewMode: 'calm', intent: '', createdAt: Date.now() },
+    { id: 'b2', name: 'Read Later', emoji: '📚', viewMode: 'compact', intent: 'Things that make me smarter.', createdAt: Date.now() },
+    { id: 'b3', name: 'Gear', emoji: '📷', viewMode: 'calm', intent: 'Buy only after 30 days of wanting.', coolingOffDays: 30, createdAt: Date.now() },
+  ],
+  items: [],
+  trash: [],
+  trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+  lastUsedBucketId: 'b1'
+});
+
+// Items and images that must outlive removal from `items`: restorable by undo or sitting in the trash
+const retainedRecords = (snapshot, history) => {
+  const trashed = trashedItems(snapshot?.trash);
+  return {
+    retainedItemIds: new Set([...restorableItemIds(history), ...trashed.map(i => i.id)]),
+    retainedImageIds: new Set([...restorableImageIds(history), ...trashed.map(i => i.imageId).filter(Boolean)])
+  };
+};
+
 const generateGradient = (str) => {
   let hash = 0;
   for (let i = 0; i < str.length; i++) {
@@ -100,6 +156,30 @@ const inferTitleFromUrl = (url) => {
   }
 };
 
+// A new link item for bulk imports; enrichment fills in the rest later
+const createLinkItem = (url, bucketId, { title = '', position, createdAt = Date.now() } = {}) => {
+  const site = getDomain(url);
+  return {
+    id: generateId(),
+    bucketId,
+    url,
+    title: title || normalizeTitle(inferTitleFromUrl(url) || '', site) || 'Untitled link',
+    domain: site,
+    image: url.match(/\.(jpeg|jpg|gif|png|webp)$/i) ? url : null,
+    notes: '',
+    tags: [],
+    price: '',
+    status: 'saved',
+    isArchived: false,
+    visitCount: 0,
+    metaStatus: 'pending',
+    metaAttempts: 0,
+    site,
+    ...(typeof position === 'number' ? { position } : {}),
+    createdAt
+  };
+};
+
 const getInitial = (title) => {
   if (!title) return '';
   const first = title.split(/\s+/).filter(Boolean)[0] || title;
@@ -137,7 +217,7 @@ const fetchJsonWithTimeout = async (url, timeout = 1500) => {
   const controller = new AbortController();
   const id = setTimeout(() => controller.abort(), timeout);
   try {
-    const res = await fetch(url, { signal: controller.signal });
+    const res = await fetch(url, { signal: controller.signal, headers: PROXY_HEADERS });
     clearTimeout(id);
     if (!res.ok) throw new Error('Network');
     return await res.json();
@@ -147,12 +227,14 @@ const fetchJsonWithTimeout = async (url, timeout = 1500) => {
   }
 };
 
-const fetchPageMetadata = async (url) => {
+// `revalidate` asks the proxy to check its cached copy with the origin first.
+const fetchPageMetadata = async (url, { revalidate = false } = {}) => {
+  const proxyUrl = METADATA_PROXY + encodeURIComponent(url) + (revalidate ? '&revalidate=1' : '');
   try {
     // Try fast proxy first when it's local (low latency), else try direct fetch with a short timeout
     if (METADATA_PROXY && METADATA_PROXY.includes('localhost')) {
       try {
-        const json = await fetchJsonWithTimeout(METADATA_PROXY + encodeURIComponent(url), 1200);
+        const json = await fetchJsonWithTimeout(proxyUrl, 1200);
         if (json) {
           if (json.image) {
             // require reasonable resolution for proxy images
@@ -160,7 +242,7 @@ const fetchPageMetadata = async (url) => {
             if (!ok) json.image = null;
           }
           const title = normalizeTitle(json?.title || '', new URL(url).hostname) || null;
-          return { title, image: json?.image || null };
+          return { ...pickDetails(json), title, image: json?.image || null, thumbnail: (json?.image && json.thumbnail) || null, price: json?.price || null };
         }
       } catch (e) { /* fall through to direct fetch */ }
     }
@@ -194,14 +276,15 @@ const fetchPageMetadata = async (url) => {
 
     const rawTitle = ogTitle || metaTitle || description;
     const title = normalizeTitle(rawTitle, new URL(url).hostname) || null;
-    return { title, image: ogImage || null };
+    const page = summarizeMetadata(collectFromDocument(doc), url);
+    return { ...pickDetails(page), title, image: ogImage || null, price: page.price };
   } catch (err) {
     // try proxy fallback (r.jina.ai as a lightweight fetch proxy)
     try {
       // try local metadata proxy first if available
       if (METADATA_PROXY) {
         try {
-          const pRes = await fetch(METADATA_PROXY + encodeURIComponent(url));
+          const pRes = await fetch(proxyUrl, { headers: PROXY_HEADERS });
           if (pRes.ok) {
             const json = await pRes.json();
             if (json?.image) {
@@ -209,7 +292,7 @@ const fetchPageMetadata = async (url) => {
               if (!ok) json.image = null;
             }
             const title = normalizeTitle(json?.title || '', new URL(url).hostname) || null;
-            return { title, image: json?.image || null };
+            return { ...pickDetails(json), title, image: json?.image || null, thumbnail: (json?.image && json.thumbnail) || null, price: json?.price || null };
           }
         } catch (e) { /* continue to jina */ }
       }
@@ -238,7 +321,8 @@ const fetchPageMetadata = async (url) => {
 
       const rawTitle = ogTitle || metaTitle;
       const title = normalizeTitle(rawTitle, new URL(url).hostname) || null;
-      return { title, image: ogImage || null };
+      const page = summarizeMetadata(collectFromDocument(doc), url);
+      return { ...pickDetails(page), title, image: ogImage || null, price: page.price };
     } catch (err2) {
       // failed enrichment
       return null;
@@ -246,6 +330,44 @@ const fetchPageMetadata = async (url) => {
   }
 };
 
+// Canonical form of a pasted URL: cleaned locally, then redirects and rel=canonical via the proxy when reachable
+const RESOLVE_ENDPOINT = METADATA_PROXY.replace(/\/fetch\?url=$/, '/resolve?url=');
+const resolveCaptureUrl = async (raw, timeout = 1500) => {
+  const local = canonicalizeUrl(raw);
+  if (RESOLVE_ENDPOINT === METADATA_PROXY) return local;
+  try {
+    // short links are useless until expanded, so they get longer to resolve
+    const json = await fetchJsonWithTimeout(RESOLVE_ENDPOINT + encodeURIComponent(local), isShortLink(local) ? 4000 : timeout);
+    if (json?.url) return json.url;
+  } catch { /* proxy unavailable: keep the locally cleaned URL */ }
+  return local;
+};
+
+// dataTransfer type for dragging an item onto a bucket (move, or copy with a modifier key)
+const ITEM_DRAG_TYPE = 'application/x-capture-item';
+
+// How long the undo toast stays up after a destructive action
+const UNDO_WINDOW_MS = 6000;
+
+const CLOCK_TICK_MS = 60 * 1000;
+// Views whose countdowns App ticks itself: no capture sheet is open on them
+const CLOCK_VIEWS = ['item', 'trash', 'settings'];
+
+// One queue for the whole app; pending items are queued again after a reload
+const enrichQueue = createEnrichQueue();
+
+// What the address bar asked for on load; checked against the library once it is open
+const initialRoute = parseRoute(window.location);
+
+const countLabel = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+
+// For user text written into exported HTML files
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+
+// Reader-mode extraction lives next to /fetch on the same proxy
+const ARTICLE_ENDPOINT = METADATA_PROXY.replace(/\/fetch\?url=$/, '/article?url=');
+
 // Quick title extraction and cleaning for faster captures
 const extractBestTitle = (rawTitle, url) => {
   if (!rawTitle) return null;
@@ -346,74 +468,6 @@ const fetchImageQuick = async (url, timeout = 1200) => {
   return null;
 };
 
-const enrichUrlMetadata = async (id, url) => {
-  try {
-    const cacheKey = 'meta_cache_v1';
-    const cache = JSON.parse(localStorage.getItem(cacheKey) || '{}');
-
-    // initialize attempt counter
-    const item = data.items.find(i => i.id === id);
-    const attempts = item?.metaAttempts || 0;
-
-    if (cache[url]) {
-      const currentItem = data.items.find(i => i.id === id);
-      const inferred = inferTitleFromUrl(url);
-      const shouldSetTitle = !currentItem?.userEditedTitle && (
-        !currentItem?.title || currentItem.title === 'Untitled link' || currentItem.title === inferred || (currentItem.title && currentItem.title.length < 3)
-      );
-      const isFavicon = (src) => !!(src && /s2\/favicons|favicon/i.test(src));
-      const shouldSetImage = !currentItem?.userEditedImage && (
-        (!currentItem?.image && cache[url].image) || (currentItem?.image && isFavicon(currentItem.image) && cache[url].image)
-      );
-      const updateObj = { site: cache[url].site, metaStatus: 'done' };
-      if (shouldSetTitle && cache[url].title) updateObj.title = cache[url].title;
-      if (shouldSetImage) updateObj.image = cache[url].image;
-      updateItem(id, updateObj);
-      return;
-    }
-
-    const result = await fetchPageMetadata(url);
-    if (result) {
-      const site = new URL(url).hostname.replace('www.', '');
-      const payload = { title: result.title, image: result.image, site };
-      // Update cache
-      cache[url] = payload;
-      localStorage.setItem(cacheKey, JSON.stringify(cache));
-
-      // Determine if it's safe to overwrite title
-      const currentItem = data.items.find(i => i.id === id);
-      const inferred = inferTitleFromUrl(url);
-      const shouldSetTitle = !currentItem?.userEditedTitle && (
-        !currentItem?.title || currentItem.title === 'Untitled link' || currentItem.title === inferred || (currentItem.title && currentItem.title.length < 3)
-      );
-
-      const isFavicon = (src) => !!(src && /s2\/favicons|favicon/i.test(src));
-      const shouldSetImage = !currentItem?.userEditedImage && (
-        (!currentItem?.image && payload.image) || (currentItem?.image && isFavicon(currentItem.image) && payload.image)
-      );
-      const updateObj = { site: payload.site, metaStatus: 'done' };
-      if (shouldSetTitle && payload.title) updateObj.title = payload.title;
-      if (shouldSetImage) updateObj.image = payload.image;
-
-      // Add a transient flash marker so UI can animate
-      updateObj.enrichFlash = true;
-      updateItem(id, updateObj);
-
-      // Clear enrichFlash after short delay
-      setTimeout(() => updateItem(id, { enrichFlash: false }), 1400);
-    } else {
-      // mark as failed so we can fallback gracefully
-      const nextAttempts = attempts + 1;
-      updateItem(id, { metaStatus: 'failed', metaAttempts: nextAttempts });
-      // if attempts less than retries, schedule retry
-      if (nextAttempts < 3) setTimeout(() => enrichUrlMetadata(id, url), 2000 * nextAttempts);
-    }
-  } catch (e) {
-    const nextAttempts = attempts + 1;
-    updateItem(id, { metaStatus: 'failed', metaAttempts: nextAttempts });
-    if (nextAttempts < 3) setTimeout(() => enrichUrlMetadata(id, url), 2000 * nextAttempts);
-  }
-};
 // --- COMPONENTS ---
 
 const Button = ({ children, onClick, variant = 'primary', className = '', ...props }) => {
@@ -440,31 +494,416 @@ const Input = React.forwardRef(({ ...props }, ref) => (
   />
 ));
 
+const Highlight = ({ text, query }) => highlightParts(text, query).map((part, idx) => (
+  part.match
+    ? <mark key={idx} className="bg-amber-100 text-stone-900 rounded px-0.5">{part.text}</mark>
+    : <React.Fragment key={idx}>{part.text}</React.Fragment>
+));
+
+// Current price plus the move since the previous recorded price
+const PriceTag = ({ item, className = '' }) => {
+  if (item.price === '' || item.price == null) return null;
+  const change = priceChange(item);
+  return (
+    <span className={`inline-flex items-center gap-1.5 ${className}`}>
+      {formatPrice(item.price, item.currency)}
+      {change && change.delta !== 0 && (
+        <span className={`inline-flex items-center gap-0.5 text-[0.8em] ${change.delta < 0 ? 'text-green-600' : 'text-red-500'}`}>
+          {change.delta < 0 ? <TrendingDown size={12} /> : <TrendingUp size={12} />}
+          {Math.abs(change.percent).toFixed(change.percent % 1 && Math.abs(change.percent) < 10 ? 1 : 0)}%
+        </span>
+      )}
+    </span>
+  );
+};
+
+// Coarse clock for countdowns. Each component that shows one keeps its own, so
+// a tick re-renders the badge and not App (and whatever the user is typing).
+const useClock = () => {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+  return now;
+};
+
+// Countdown (or "Ripe") on undecided items in buckets with a cooling-off rule
+const CoolingBadge = ({ item, bucket }) => {
+  const now = useClock();
+  const st = coolingStatus(item, bucket, now);
+  if (!st || item.status !== 'saved') return null;
+  return (
+    <span className={`absolute bottom-2 left-2 flex items-center gap-1 text-[10px] font-bold px-1.5 py-0.5 rounded-md bg-white/90 ${st.cooling ? 'text-sky-600' : 'text-green-600'}`}>
+      {st.cooling ? <><Hourglass size={10} /> {formatRemaining(st.remainingMs)}</> : <><Sprout size={10} /> Ripe</>}
+    </span>
+  );
+};
+
+// Home's "Ready to Decide" list; items ripen while the app stays open
+const RipeSection = ({ items, buckets, renderRow }) => {
+  const now = useClock();
+  const bucketById = new Map(buckets.map(b => [b.id, b]));
+  const ripeItems = items.filter(i => isRipe(i, bucketById.get(i.bucketId), now));
+  if (!ripeItems.length) return null;
+  return (
+    <section className="pb-6">
+      <h2 className="text-xs font-bold uppercase tracking-widest text-stone-400 mb-3 flex items-center gap-1.5"><Sprout size={12} /> Ready to Decide</h2>
+      <div className="space-y-2">
+        {ripeItems.slice(0, 5).map(item => renderRow(item))}
+        {ripeItems.length > 5 && <p className="text-xs text-stone-400 px-2">and {ripeItems.length - 5} more waiting for a decision</p>}
+      </div>
+    </section>
+  );
+};
+
+// Tries `fallback` once when `src` doesn't load: a proxy thumbnail while the
+// proxy is down, or the original image once it has gone from its site.
+const PreviewImage = ({ src, fallback, ...props }) => (
+  <img
+    src={src || fallback}
+    alt=""
+    onError={(e) => {
+      if (!fallback || e.currentTarget.dataset.fallback) return;
+      e.currentTarget.dataset.fallback = '1';
+      e.currentTarget.src = fallback;
+    }}
+    {...props}
+  />
+);
+
+// Declared outside App: a component defined during App's render is a new type on
+// every render, so any App update (a preview landing, queue progress) would
+// remount the sheet and wipe what is being typed.
+const QuickCapture = ({ data, dataRef, unsavedRef, activeBucketId, sharedCapture, setSharedCapture, setModalMode, setFlashMessage, addItem, moveItem, onOpenItem }) => {
+  // shares land where the last capture went, whatever screen is open
+  const [selectedBucketId, setSelectedBucketId] = useState((sharedCapture ? null : activeBucketId) || data.lastUsedBucketId || data.buckets[0]?.id);
+  const [inputValue, setInputValue] = useState(sharedCapture?.text || '');
+  const [pastedImage, setPastedImage] = useState(sharedCapture?.image || null);
+  const [isClipboardDetected, setIsClipboardDetected] = useState(false);
+  const [justSaved, setJustSaved] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [alreadySavedMessage, setAlreadySavedMessage] = useState('');
+  const [pastedToast, setPastedToast] = useState('');
+  const [savedToast, setSavedToast] = useState('');
+  const inputRef = useRef(null);
+
+  // touch swipe helpers for mobile dismissal
+  const touchStartY = useRef(null);
+  const touchDeltaY = useRef(0);
+
+  useEffect(() => {
+    const checkClipboard = async () => {
+      try {
+        const items = await navigator.clipboard.read();
+        for (const item of items) {
+          if (item.types.includes('image/png') || item.types.includes('image/jpeg')) {
+            const blob = await item.getType(item.types.find(t => t.startsWith('image/')));
+            const reader = new FileReader();
+            reader.onload = (e) => { setPastedImage(e.target.result); unsavedRef.current = true; };
+            reader.readAsDataURL(blob);
+            setIsClipboardDetected(true);
+          } else if (item.types.includes('text/plain')) {
+            const textBlob = await item.getType('text/plain');
+            const text = await textBlob.text();
+            if (text && (text.startsWith('http') || text.startsWith('www'))) {
+              setInputValue(text);
+              unsavedRef.current = true;
+              setIsClipboardDetected(true);
+              // show small toast indicating where it will be saved
+              setPastedToast(`Detected link — will save to ${data.buckets.find(b => b.id === selectedBucketId)?.name || 'your space'}`);
+              setTimeout(() => setPastedToast(''), 2000);
+            }
+          }
+        }
+      } catch (err) { console.log("Clipboard skip"); }
+    };
+    if (inputRef.current) inputRef.current.focus();
+    if (!sharedCapture) checkClipboard();
+
+    return () => { unsavedRef.current = false; };
+  }, []);
+
+  // { item, url } when the pasted link is already saved somewhere
+  const [duplicatePrompt, setDuplicatePrompt] = useState(null);
+
+  const dismiss = () => {
+    setModalMode(null);
+    setSharedCapture(null);
+    unsavedRef.current = false;
+    if (navigator.vibrate) navigator.vibrate(5);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    capture();
+  };
+
+  // `url` / `allowDuplicate` come from the duplicate prompt's "Save anyway"
+  const capture = async ({ url: confirmedUrl = null, allowDuplicate = false } = {}) => {
+    if (!confirmedUrl && !inputValue.trim() && !pastedImage) return;
+    if (isSubmitting) return;
+
+    setIsSubmitting(true);
+    setAlreadySavedMessage('');
+
+    if (pastedImage && !confirmedUrl) {
+      addItem(pastedImage, selectedBucketId, 'image');
+      // success
+      setJustSaved(true);
+      if (navigator.vibrate) navigator.vibrate(10);
+      setTimeout(() => setJustSaved(false), 1500);
+      setIsSubmitting(false);
+    } else {
+      const url = confirmedUrl || await resolveCaptureUrl(inputValue);
+
+      // Same link anywhere in the library: let the user decide instead of silently saving twice
+      const duplicate = !allowDuplicate && findDuplicate(dataRef.current.items, url);
+      if (duplicate) {
+        setDuplicatePrompt({ item: duplicate, url });
+        setIsSubmitting(false);
+        return;
+      }
+      setDuplicatePrompt(null);
+
+      // Try a quick title and image fetch before creating the item so the item has a good initial title and preview
+      let quickTitle = null;
+      let quickImage = null;
+      try { [quickTitle, quickImage] = await Promise.all([fetchTitleQuick(url, 900), fetchImageQuick(url, 1200)]); } catch { quickTitle = quickTitle || null; quickImage = quickImage || null; }
+
+      const fallbackImage = quickImage || getFavicon(url);
+      // the sharing app's title for the link, unless the field was edited since
+      const sharedTitle = sharedCapture && inputValue === sharedCapture.text ? sharedCapture.title : null;
+      const id = addItem(url, selectedBucketId, 'url', quickTitle || sharedTitle || null, fallbackImage);
+
+      // Close capture and show toast for better UX
+      const bucketName = data.buckets.find(b => b.id === selectedBucketId)?.name || 'your space';
+      setModalMode(null);
+      setFlashMessage(`Saved to ${bucketName}`);
+      if (navigator.vibrate) navigator.vibrate(10);
+      const existing = data.items.find(i => i.id === id);
+      if (existing && existing.url === url && (Date.now() - existing.createdAt) > 9000) {
+        // It already existed — inform user briefly
+        setAlreadySavedMessage('This link is already saved');
+        setTimeout(() => setAlreadySavedMessage(''), 1500);
+      } else {
+        // New item
+        setJustSaved(true);
+        if (navigator.vibrate) navigator.vibrate(10);
+        setSavedToast(`Saved to ${data.buckets.find(b => b.id === selectedBucketId)?.name || 'your space'}`);
+        setTimeout(() => setSavedToast(''), 2000);
+        setTimeout(() => setJustSaved(false), 1500);
+      }
+      setIsSubmitting(false);
+    }
+
+    setInputValue('');
+    setPastedImage(null);
+    setIsClipboardDetected(false);
+    setSharedCapture(null);
+    unsavedRef.current = false;
+    if (inputRef.current) inputRef.current.focus();
+  };
+
+  const { item: dup, url: dupUrl } = duplicatePrompt || {};
+  const dupBucket = dup && data.buckets.find(b => b.id === dup.bucketId);
+
+  return (
+    <div className="fixed inset-x-0 bottom-0 z-50 animate-in slide-in-from-bottom-10 duration-300">
+      <div
+        className="fixed inset-0 bg-stone-900/30 backdrop-blur-[2px]"
+        onClick={dismiss}
+        onTouchStart={(e) => { touchStartY.current = e.touches[0].clientY; touchDeltaY.current = 0; }}
+        onTouchMove={(e) => { if (touchStartY.current != null) touchDeltaY.current = e.touches[0].clientY - touchStartY.current; }}
+        onTouchEnd={() => { if (touchDeltaY.current > 80) dismiss(); touchStartY.current = null; touchDeltaY.current = 0; }}
+      />
+      <div className="relative bg-white border-t border-stone-100 shadow-[0_-15px_50px_rgba(0,0,0,0.15)] p-4 pb-10 rounded-t-[2.5rem]">
+        <div className="flex justify-between items-center mb-4 px-2">
+          <h2 className="text-xs font-bold uppercase tracking-widest text-stone-400">Capture Now</h2>
+          <button onClick={dismiss} className="p-1.5 bg-stone-100 rounded-full text-stone-400"><X size={16} /></button>
+        </div>
+        
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="relative">
+            {pastedImage ? (
+              <div className="relative group rounded-xl overflow-hidden bg-stone-100 border-2 border-dashed border-stone-200 p-2">
+                <img src={pastedImage} className="h-20 w-auto rounded-lg mx-auto shadow-sm" alt="Pasted" />
+                <button type="button" onClick={() => setPastedImage(null)} className="absolute top-1 right-1 bg-white p-1 rounded-full shadow-md text-stone-500"><X size={14} /></button>
+              </div>
+            ) : (<>
+              <Input 
+                ref={inputRef}
+                value={inputValue}
+                onChange={(e) => { setInputValue(e.target.value); unsavedRef.current = (e.target.value || '').trim().length > 0; }}
+                onPaste={(e) => {
+                  const text = e.clipboardData?.getData('text/plain');
+                  if (text && (text.startsWith('http') || text.startsWith('www'))) {
+                    setPastedToast(`Detected link — will save to ${data.buckets.find(b => b.id === selectedBucketId)?.name || 'your space'}`);
+                    setTimeout(() => setPastedToast(''), 2000);
+                  }
+                }}
+                placeholder="Paste URL or text..." 
+              />
+              {pastedToast && <div className="text-xs text-stone-500 mt-2">{pastedToast}</div>}
+              {savedToast && <div className="text-sm text-green-600 mt-2">{savedToast}</div>}
+            </>)}
+            {isClipboardDetected && !pastedImage && !inputValue && (
+              <div className="absolute right-3 top-3 flex items-center gap-1 text-[10px] font-bold text-blue-600 bg-blue-50 px-2 py-1 rounded-md">
+                <Clipboard size={10} /> DETECTED
+              </div>
+            )}
+          </div>
+          
+          <div className="flex gap-2 overflow-x-auto pb-2 scrollbar-hide">
+            {pinnedFirst(data.buckets).map(b => (
+              <button
+                key={b.id}
+                type="button"
+                onClick={() => setSelectedBucketId(b.id)}
+                className={`flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm transition-all border whitespace-nowrap ${
+                  selectedBucketId === b.id ? 'bg-stone-800 text-white border-stone-800 shadow-md scale-105' : 'bg-white text-stone-500 border-stone-200'
+                }`}
+              >
+                <span>{b.emoji}</span> <span className="font-medium">{b.name}</span>
+              </button>
+            ))}
+          </div>
+
+          <Button type="submit" className={`w-full ${justSaved ? 'bg-green-600' : 'bg-stone-900'}`} disabled={isSubmitting || (!inputValue && !pastedImage)}>
+            {isSubmitting ? 'Saving...' : (justSaved ? <><CheckCircle2 size={18} /> Captured</> : "Capture")}
+          </Button>
+          {alreadySavedMessage && <div className="text-sm text-slate-500 mt-2">{alreadySavedMessage}</div>}
+          {duplicatePrompt && (
+            <div className="mt-3 p-3 bg-amber-50 border border-amber-200 rounded-xl text-sm">
+              <div className="text-amber-900 mb-2">
+                Already saved in <span className="font-medium">{dupBucket ? `${dupBucket.emoji} ${dupBucket.name}` : 'your library'}</span>{dup.title ? <> — <span className="italic">{dup.title}</span></> : null}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <Button type="button" variant="secondary" className="py-1.5 px-3 text-xs" onClick={() => {
+                  unsavedRef.current = false;
+                  setModalMode(null);
+                  setSharedCapture(null);
+                  onOpenItem(dup);
+                }}>Open</Button>
+                {dup.bucketId !== selectedBucketId && (
+                  <Button type="button" variant="secondary" className="py-1.5 px-3 text-xs" onClick={() => {
+                    moveItem(dup.id, selectedBucketId);
+                    setDuplicatePrompt(null);
+                    setInputValue('');
+                    setAlreadySavedMessage(`Moved to ${data.buckets.find(b => b.id === selectedBucketId)?.name || 'this space'}`);
+                  }}>Move here</Button>
+                )}
+                <Button type="button" variant="ghost" className="py-1.5 px-3 text-xs" onClick={() => capture({ url: dupUrl, allowDuplicate: true })}>Save anyway</Button>
+              </div>
+            </div>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+};
+
 // --- MAIN APP ---
 
 export default function App() {
   // --- STATE ---
-  const [data, setData] = useState(() => {
-    const saved = localStorage.getItem('capture_app_db_v5');
-    return saved ? JSON.parse(saved) : {
-      buckets: [
-        { id: 'b1', name: 'Inspiration', emoji: '💡', viewMode: 'calm', intent: '', createdAt: Date.now() },
-        { id: 'b2', name: 'Read Later', emoji: '📚', viewMode: 'compact', intent: 'Things that make me smarter.', createdAt: Date.now() },
-        { id: 'b3', name: 'Gear', emoji: '📷', viewMode: 'calm', intent: 'Buy only after 30 days of wanting.', createdAt: Date.now() },
-      ],
-      items: [],
-      lastUsedBucketId: 'b1'
-    };
-  });
+  // null until the IndexedDB store has been read
+  const [data, setDataState] = useState(null);
+  // last snapshot known to be on disk, used to write only what changed
+  const persistedRef = useRef(null);
+  // latest data for async work (enrichment) that outlives the render that started it
+  const dataRef = useRef(data);
+  // undo/redo stack ({ past, future }); the ref is the source of truth, state drives rendering
+  const historyRef = useRef(EMPTY_HISTORY);
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const [historyLoaded, setHistoryLoaded] = useState(false);
+
+  const commitHistory = (next) => {
+    historyRef.current = next;
+    setHistory(next);
+  };
+
+  // All data changes go through here. The update is applied to the latest snapshot right away
+  // (so back-to-back calls compose) and recorded for undo unless `track` is false, which
+  // background work (enrichment, reading progress, visit counts) uses.
+  const setData = (update, { track = true, label } = {}) => {
+    const prev = dataRef.current;
+    const next = typeof update === 'function' ? update(prev) : update;
+    if (next === prev) return;
+    dataRef.current = next;
+    setDataState(next);
+    if (!track || !prev) return;
+    const entry = diffSnapshots(prev, next, label);
+    if (entry) commitHistory(pushEntry(historyRef.current, entry));
+  };
 
-  const [view, setView] = useState('home'); 
-  const [activeBucketId, setActiveBucketId] = useState(null);
-  const [activeItemId, setActiveItemId] = useState(null);
+  const undo = () => {
+    const { past, future } = historyRef.current;
+    const entry = past[past.length - 1];
+    if (!entry || !dataRef.current) return null;
+    commitHistory({ past: past.slice(0, -1), future: [entry, ...future] });
+    setData(prev => applyEntry(prev, entry, 'before'), { track: false });
+    return entry;
+  };
+
+  const redo = () => {
+    const { past, future } = historyRef.current;
+    const [entry, ...rest] = future;
+    if (!entry || !dataRef.current) return null;
+    commitHistory({ past: [...past, entry], future: rest });
+    setData(prev => applyEntry(prev, entry, 'after'), { track: false });
+    return entry;
+  };
+
+  const [view, setView] = useState(initialRoute.view); 
+  const [activeBucketId, setActiveBucketId] = useState(initialRoute.activeBucketId);
+  const [activeItemId, setActiveItemId] = useState(initialRoute.activeItemId);
+  const [activeTag, setActiveTag] = useState(initialRoute.activeTag);
   const [modalMode, setModalMode] = useState(null); 
+  // { title, text, image } shared from another app; prefills QuickCapture until it closes
+  const [sharedCapture, setSharedCapture] = useState(null);
   const [draggedItemId, setDraggedItemId] = useState(null);
+  // long-press / keyboard reordering (touch has no native drag)
+  const itemReorder = useReorder();
+  const bucketReorder = useReorder();
   const [showArchive, setShowArchive] = useState(false);
+  // bucket tile currently under a dragged item
+  const [dropBucketId, setDropBucketId] = useState(null);
+  // multi-select in the bucket view: { bucketId, ids }
+  const [selection, setSelection] = useState(null);
   const [showSettings, setShowSettings] = useState(false);
+  // the space settings panel's unsaved edits: { id, name, emoji, color, coverItemId, viewMode, pinned }
+  const [spaceDraft, setSpaceDraft] = useState(null);
+  // parent for the space being created (null: top level)
+  const [newSpaceParentId, setNewSpaceParentId] = useState(null);
   const [editingIntent, setEditingIntent] = useState(false);
+  const [showLibraryMenu, setShowLibraryMenu] = useState(false);
+  // parsed backup waiting for the user to pick replace/merge
+  const [pendingImport, setPendingImport] = useState(null);
+  const backupInputRef = useRef(null);
+  // { text, bucketId } while the link-list import dialog is open
+  const [urlImport, setUrlImport] = useState(null);
+  const urlListInputRef = useRef(null);
+  // parsed bookmark export waiting for confirmation: { fileName, format, entries, mapFolders, bucketId }
+  const [pendingBookmarks, setPendingBookmarks] = useState(null);
+  const bookmarkInputRef = useRef(null);
+  const [searchQuery, setSearchQuery] = useState(initialRoute.searchQuery);
+  const [searchFilters, setSearchFilters] = useState(DEFAULT_SEARCH_FILTERS);
+  const [showSearchFilters, setShowSearchFilters] = useState(false);
+  // text typed into the item view's tag field, not yet committed
+  const [tagDraft, setTagDraft] = useState('');
+  const [checkingPriceId, setCheckingPriceId] = useState(null);
+  // Reader pane: the open offline copy, and the item whose copy is being fetched
+  const [readerArticle, setReaderArticle] = useState(null);
+  const [savingArticleId, setSavingArticleId] = useState(null);
+  const readerScrollRef = useRef(null);
+  const readerSaveTimer = useRef(null);
+  const [priceDraft, setPriceDraft] = useState({ amount: '', currency: '' });
+  // { itemId, status } awaiting an explicit cooling-off override
+  const [coolingPrompt, setCoolingPrompt] = useState(null);
+  // coarse clock for the pages below that show countdowns; home and bucket views
+  // (where the capture sheet opens) never tick App itself, see useClock
+  const [now, setNow] = useState(() => Date.now());
   // small global flash for transient messages
   const [flash, setFlash] = useState('');
   const setFlashMessage = (msg, ttl = 2200) => { setFlash(msg); if (msg) setTimeout(() => setFlash(''), ttl); };
@@ -474,6 +913,66 @@ export default function App() {
     </div>
   ) : null;
 
+  // background enrichment of bulk-imported links
+  // progress of the enrichment queue since it was last idle
+  const [enrichStats, setEnrichStats] = useState(() => enrichQueue.stats());
+  // failed-preview count the user dismissed on the home screen (this session only)
+  const [dismissedFailed, setDismissedFailed] = useState(0);
+  // the metadata cache lives outside React; bump this to re-render the settings screen
+  const [, setCacheRevision] = useState(0);
+  const EnrichProgress = () => enrichStats.running > 0 && enrichStats.total > 1 ? (
+    <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 bg-white border border-stone-100 shadow-lg rounded-full pl-3 pr-4 py-2 flex items-center gap-3 text-xs font-bold text-stone-500" role="status">
+      <RefreshCw size={14} className="animate-spin text-stone-400" />
+      <span>Fetching previews {enrichStats.done}/{enrichStats.total}</span>
+      <span className="w-16 h-1 bg-stone-100 rounded-full overflow-hidden">
+        <span className="block h-full bg-stone-800 transition-all" style={{ width: `${Math.round((enrichStats.done / enrichStats.total) * 100)}%` }} />
+      </span>
+    </div>
+  ) : null;
+
+  // undo toast after destructive actions; it undoes the history entry the action just made
+  const [undoToast, setUndoToast] = useState(null);
+  const undoTimer = useRef(null);
+  const showUndo = (message) => {
+    const entry = historyRef.current.past[historyRef.current.past.length - 1];
+    if (!entry) return;
+    clearTimeout(undoTimer.current);
+    setUndoToast({ message, entryId: entry.id });
+    undoTimer.current = setTimeout(() => setUndoToast(null), UNDO_WINDOW_MS);
+  };
+  const undoFromToast = () => {
+    clearTimeout(undoTimer.current);
+    const { past } = historyRef.current;
+    if (past[past.length - 1]?.id === undoToast.entryId) undo();
+    else setFlashMessage('Other changes were made since; use Cmd/Ctrl+Z to step back');
+    setUndoToast(null);
+  };
+  const UndoToast = () => undoToast ? (
+    <div className="fixed bottom-28 left-1/2 -translate-x-1/2 z-50 bg-stone-900 text-white pl-4 pr-2 py-2 rounded-full shadow-xl text-sm font-medium flex items-center gap-3 whitespace-nowrap">
+      <span>{undoToast.message}</span>
+      <button
+        onClick={undoFromToast}
+        className="px-3 py-1 rounded-full bg-white/10 hover:bg-white/20 font-bold text-amber-300"
+      >
+        Undo
+      </button>
+    </div>
+  ) : null;
+
+  // persistent storage failures (quota, blocked database) stay visible until dismissed
+  const [storageError, setStorageError] = useState('');
+  const reportStorageError = (err) => {
+    console.error('Storage write failed', err);
+    setStorageError(err instanceof StorageQuotaError ? err.message : 'Changes could not be saved on this device.');
+  };
+  const StorageAlert = () => storageError ? (
+    <div className="fixed top-4 inset-x-4 z-[60] mx-auto max-w-md bg-red-50 border border-red-100 text-red-700 px-4 py-3 rounded-2xl shadow-xl text-sm font-medium flex items-start gap-3">
+      <AlertTriangle size={18} className="shrink-0 mt-0.5" />
+      <span className="flex-1">{storageError}</span>
+      <button onClick={() => setStorageError('')} className="text-red-400 hover:text-red-700"><X size={16} /></button>
+    </div>
+  ) : null;
+
 
   // Unsaved edits tracking (QuickCapture input, pasted images, intent editing)
   const unsavedRef = useRef(false);
@@ -482,15 +981,138 @@ export default function App() {
   const [isNavigating, setIsNavigating] = useState(false);
   const [navigationDirection, setNavigationDirection] = useState(null); // 'forward' | 'back' | null
   const navTimeoutRef = useRef(null);
+  // the next navigation replaces the current history entry instead of adding one
+  // (the entry the app was opened on, a deep link corrected after load)
+  const replaceHistoryRef = useRef(true);
 
   useEffect(() => {
     setEditingIntent(false);
+    setSpaceDraft(null);
   }, [activeBucketId, view]);
 
   useEffect(() => {
-    localStorage.setItem('capture_app_db_v5', JSON.stringify(data));
+    setTagDraft('');
+    setPriceDraft({ amount: '', currency: '' });
+    setCoolingPrompt(null);
+  }, [activeItemId]);
+
+  // Reopening an offline copy resumes where the reader left off
+  useEffect(() => {
+    const el = readerScrollRef.current;
+    if (!readerArticle || !el) return;
+    const progress = dataRef.current?.items.find(i => i.id === readerArticle.id)?.readingProgress || 0;
+    el.scrollTop = progress * (el.scrollHeight - el.clientHeight);
+  }, [readerArticle]);
+
+  useEffect(() => {
+    if (!CLOCK_VIEWS.includes(view)) return;
+    const tick = () => setNow(Date.now());
+    // the clock stood still while another view was open
+    const refresh = setTimeout(tick);
+    const timer = setInterval(tick, CLOCK_TICK_MS);
+    return () => { clearTimeout(refresh); clearInterval(timer); };
+  }, [view]);
+
+  useEffect(() => {
+    let cancelled = false;
+    // the first snapshot is not an undoable change, so it bypasses setData
+    const ready = (loaded) => { dataRef.current = loaded; setDataState(loaded); };
+    Promise.all([loadDatabase(), loadHistory().catch(() => null)])
+      .then(([loaded, savedHistory]) => {
+        if (cancelled) return;
+        persistedRef.current = loaded;
+        if (savedHistory) { historyRef.current = savedHistory; setHistory(savedHistory); }
+        setHistoryLoaded(true);
+        // trash entries past the retention period go for good on start
+        const expired = loaded ? expiredEntries(loaded.trash, retentionDays(loaded)) : [];
+        // older data has no per-bucket positions yet; the first persist writes them
+        const initial = loaded && {
+          ...loaded,
+          items: assignMissingPositions(loaded.items),
+          ...(expired.length ? { trash: loaded.trash.filter(e => !expired.includes(e)) } : {})
+        };
+        const library = initial || createDefaultData();
+        ready(library);
+        const route = resolveRoute(initialRoute, library);
+        if (route.view !== initialRoute.view || route.activeBucketId !== initialRoute.activeBucketId) {
+          replaceHistoryRef.current = true;
+          setView(route.view);
+          setActiveBucketId(route.activeBucketId);
+          setActiveItemId(route.activeItemId);
+          setActiveTag(route.activeTag);
+        }
+        // enrichment that was pending (or waiting out a backoff) when the app closed
+        (initial?.items || [])
+          .filter(i => i.url && i.metaStatus === 'pending')
+          .forEach(i => enrichQueue.add({ id: i.id, url: i.url, notBefore: i.metaRetryAt || 0 }));
+        // the app was opened by the share sheet (see share.js)
+        if (hasPendingShare()) {
+          takePendingShare()
+            .then(share => {
+              if (cancelled || !share) return;
+              setSharedCapture(share);
+              setModalMode('item');
+            })
+            .catch(err => console.warn('Could not read the shared content', err));
+        }
+        // blobs and offline copies that neither the data, the trash nor the undo history can reach
+        if (initial) {
+          const { retainedItemIds, retainedImageIds } = retainedRecords(initial, historyRef.current);
+          pruneOrphans({
+            itemIds: new Set([...initial.items.map(i => i.id), ...retainedItemIds]),
+            imageIds: new Set([...initial.items.map(i => i.imageId).filter(Boolean), ...retainedImageIds])
+          }).catch(err => console.warn('Orphan cleanup failed', err));
+        }
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Could not open storage', err);
+        setStorageError('On-device storage is unavailable. Changes will not be saved.');
+        ready(createDefaultData());
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    dataRef.current = data;
+  }, [data]);
+
+  useEffect(() => {
+    if (!data || data === persistedRef.current) return;
+    const prev = persistedRef.current;
+    persistedRef.current = data;
+    persistChanges(prev, data, retainedRecords(data, historyRef.current)).catch(err => {
+      // retry the failed records with the next change
+      if (persistedRef.current === data) persistedRef.current = prev;
+      reportStorageError(err);
+    });
   }, [data]);
 
+  // The undo stack survives reloads (bounded by HISTORY_LIMIT in undo.js)
+  useEffect(() => {
+    if (!historyLoaded) return;
+    const timer = setTimeout(() => saveHistory(history).catch(reportStorageError), 500);
+    return () => clearTimeout(timer);
+  }, [history, historyLoaded]);
+
+  // Cmd/Ctrl+Z undoes, Cmd/Ctrl+Shift+Z or Ctrl+Y redoes; text fields keep their native undo.
+  // Bound on every render so the handler always sees the current functions.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      const t = e.target;
+      if (t?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t?.tagName || '')) return;
+      e.preventDefault();
+      const isRedo = key === 'y' || e.shiftKey;
+      const entry = isRedo ? redo() : undo();
+      setFlashMessage(entry ? `${isRedo ? 'Redid' : 'Undid'}: ${entry.label}` : `Nothing to ${isRedo ? 'redo' : 'undo'}`);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
   // --- In-app history & gesture/back handling (mobile) ---
   const isPopping = useRef(false);
 
@@ -498,7 +1120,7 @@ export default function App() {
   useEffect(() => {
     const state = window.history.state;
     if (!state || !state.app) {
-      window.history.replaceState({ app: true, view, activeBucketId, activeItemId, modalMode }, '', '');
+      window.history.replaceState({ app: true, view, activeBucketId, activeItemId, activeTag, modalMode }, '', '');
     }
 
     const hasUnsavedEdits = () => {
@@ -527,7 +1149,10 @@ export default function App() {
         if (st.view) setView(st.view);
         setActiveBucketId(st.activeBucketId || null);
         setActiveItemId(st.activeItemId || null);
+        setActiveTag(st.activeTag || null);
         setModalMode(st.modalMode || null);
+        if (st.modalMode !== 'item') setSharedCapture(null);
+        if (st.view === 'search') setSearchQuery(st.searchQuery || '');
         return;
       }
 
@@ -536,7 +1161,7 @@ export default function App() {
         const leave = window.confirm('You have unsaved changes. Leave this page?');
         if (!leave) {
           // Re-push current app state to prevent navigation
-          try { window.history.pushState({ app: true, view, activeBucketId, activeItemId, modalMode }, '', ''); } catch (err) {}
+          try { window.history.pushState({ app: true, view, activeBucketId, activeItemId, activeTag, modalMode, index: historyIndexRef.current }, '', routePath({ view, activeBucketId, activeItemId, activeTag, searchQuery })); } catch { /* ignore */ }
           return;
         }
         // If user confirms, allow navigation away by not blocking
@@ -562,7 +1187,7 @@ export default function App() {
       window.removeEventListener('beforeunload', handleBeforeUnload);
       clearTimeout(navTimeoutRef.current);
     };
-  }, [editingIntent, view, activeBucketId, activeItemId, modalMode]);
+  }, [editingIntent, view, activeBucketId, activeItemId, activeTag, modalMode, searchQuery]);
 
   // History index tracking and pushState with index for direction
   const historyIndexRef = useRef(0);
@@ -582,32 +1207,67 @@ export default function App() {
       return;
     }
     try {
-      const newIndex = historyIndexRef.current + 1;
-      window.history.pushState({ app: true, view, activeBucketId, activeItemId, modalMode, index: newIndex }, '', '');
+      const replace = replaceHistoryRef.current;
+      replaceHistoryRef.current = false;
+      const newIndex = historyIndexRef.current + (replace ? 0 : 1);
+      const state = { app: true, view, activeBucketId, activeItemId, activeTag, modalMode, index: newIndex };
+      // the search query follows in the effect below; an open search keeps its ?q=
+      const path = view === 'search' && window.location.pathname === '/search' ? window.location.pathname + window.location.search : routePath(state);
+      if (replace) window.history.replaceState(state, '', path);
+      else window.history.pushState(state, '', path);
       historyIndexRef.current = newIndex;
     } catch (e) {
       // ignore; some browsers may restrict pushState in certain contexts
     }
-  }, [view, activeBucketId, activeItemId, modalMode]);
+  }, [view, activeBucketId, activeItemId, activeTag, modalMode]);
+
+  // Typing a search updates the current entry rather than adding one per keystroke
+  // (debounced: Safari throttles history calls)
+  useEffect(() => {
+    if (view !== 'search') return;
+    const timer = setTimeout(() => {
+      try {
+        window.history.replaceState({ ...window.history.state, searchQuery }, '', routePath({ view, searchQuery }));
+      } catch {
+        // ignore, as above
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [view, searchQuery]);
+
+  // Only maintained while the search view is open; unchanged records reuse their cached tokens
+  const isSearching = view === 'search';
+  const allItems = data?.items;
+  const allBuckets = data?.buckets;
+  const searchIdx = useMemo(
+    () => (isSearching && allItems ? buildSearchIndex({ items: allItems, buckets: allBuckets }) : null),
+    [isSearching, allItems, allBuckets]
+  );
 
   // --- ACTIONS ---
 
-  // Load proxy URL from global (optional) or fallback
-  const METADATA_PROXY = window.__METADATA_PROXY_URL || 'http://localhost:4000/fetch?url=';
   // Track URLs currently being added to prevent race duplicates
   const pendingUrlsRef = useRef(new Set());
 
-  const addBucket = (name, emoji) => {
-    const newBucket = { id: generateId(), name, emoji, viewMode: 'calm', intent: '', createdAt: Date.now() };
-    setData(prev => ({ ...prev, buckets: [...prev.buckets, newBucket] }));
+  const addBucket = (name, emoji, parentId = null) => {
+    const newBucket = { id: generateId(), name, emoji, viewMode: 'calm', intent: '', parentId, createdAt: Date.now() };
+    setData(prev => ({ ...prev, buckets: [...prev.buckets, newBucket] }), { label: parentId ? 'New sub-space' : 'New space' });
     setModalMode(null);
+    setNewSpaceParentId(null);
   };
 
   const updateBucketIntent = (id, intent) => {
     setData(prev => ({
       ...prev,
       buckets: prev.buckets.map(b => b.id === id ? { ...b, intent } : b)
-    }));
+    }), { label: 'Edit intent' });
+  };
+
+  const setBucketCoolingOff = (id, days) => {
+    setData(prev => ({
+      ...prev,
+      buckets: prev.buckets.map(b => b.id === id ? { ...b, coolingOffDays: days || null } : b)
+    }), { label: 'Cooling-off' });
   };
 
   const toggleBucketDensity = (bucketId) => {
@@ -616,29 +1276,30 @@ export default function App() {
       buckets: prev.buckets.map(b => 
         b.id === bucketId ? { ...b, viewMode: b.viewMode === 'calm' ? 'compact' : 'calm' } : b
       )
-    }));
+    }), { label: 'Layout' });
   };
 
-  const addItem = (content, targetBucketId, type = 'url', initialTitle = null, initialImage = null) => {
-    const isUrl = type === 'url' || content.startsWith('http');
+  const addItem = (rawContent, targetBucketId, type = 'url', initialTitle = null, initialImage = null) => {
+    const isUrl = type === 'url' || rawContent.startsWith('http');
+    const content = isUrl ? canonicalizeUrl(rawContent) : rawContent;
+    const key = isUrl ? urlKey(content) : null;
     const site = isUrl ? getDomain(content) : '';
 
     // If same URL was recently saved in the same bucket, return existing id (prevent duplicates)
     if (isUrl) {
-      if (pendingUrlsRef.current.has(content)) {
+      const sameBucket = dataRef.current.items.find(i => i.bucketId === targetBucketId && i.url && urlKey(i.url) === key);
+      if (pendingUrlsRef.current.has(key)) {
         // if currently being added, avoid duplicate
-        const already = data.items.find(i => i.url === content && i.bucketId === targetBucketId);
-        if (already) return already.id; // if not yet in data, fallthrough
+        if (sameBucket) return sameBucket.id; // if not yet in data, fallthrough
       }
 
-      const existing = data.items.find(i => i.url === content && i.bucketId === targetBucketId);
-      if (existing) {
+      if (sameBucket) {
         // If it was just created very recently, consider it a duplicate
-        if (Date.now() - existing.createdAt < 10000 || existing.metaStatus === 'pending') return existing.id;
+        if (Date.now() - sameBucket.createdAt < 10000 || sameBucket.metaStatus === 'pending') return sameBucket.id;
       }
 
       // mark as pending to prevent race duplicates
-      pendingUrlsRef.current.add(content);
+      pendingUrlsRef.current.add(key);
     }
 
     // Layer 2: prefer an already-provided title (quick fetch), else infer from URL
@@ -647,17 +1308,31 @@ export default function App() {
     const initialTitleToUse = isUrl ? (normalizedInferred || 'Untitled link') : 'Pasted Image';
 
     const id = generateId();
+
+    // Pasted images are kept as blobs in their own store, not inline in the item
+    let imageId = null;
+    let storedImage = null;
+    if (type === 'image' && content.startsWith('data:')) {
+      imageId = `img_${id}`;
+      const blob = dataUrlToBlob(content);
+      storedImage = imageUrlFor(imageId, blob);
+      saveImage(imageId, blob).catch(reportStorageError);
+    }
+
     // If we have an initialImage or title, mark metadata as done (we have a decent preview already)
     const initialMetaDone = isUrl && (initialTitle || initialImage);
     const newItem = {
       id,
       bucketId: targetBucketId,
       url: isUrl ? content : '',
+      ...(isUrl && rawContent.trim() !== content ? { originalUrl: rawContent.trim() } : {}),
       // Title: prefer normalized inferred title (or quick-fetched title); never default to domain as identity
       title: initialTitleToUse,
       domain: site,
-      image: type === 'image' ? content : (initialImage || (content.match(/\.(jpeg|jpg|gif|png|webp)$/i) ? content : null)),
+      image: type === 'image' ? (storedImage || content) : (initialImage || (content.match(/\.(jpeg|jpg|gif|png|webp)$/i) ? content : null)),
+      ...(imageId ? { imageId } : {}),
       notes: '',
+      tags: [],
       price: '',
       status: 'saved',
       isArchived: false,
@@ -665,6 +1340,7 @@ export default function App() {
       metaStatus: initialMetaDone ? 'done' : (isUrl ? 'pending' : 'done'),
       metaAttempts: 0,
       site: site,
+      position: topPosition(dataRef.current.items, targetBucketId),
       createdAt: Date.now()
     };
 
@@ -672,321 +1348,1283 @@ export default function App() {
       ...prev, 
       items: [newItem, ...prev.items],
       lastUsedBucketId: targetBucketId 
-    }));
+    }), { label: 'Capture' });
 
     // Start background enrichment when it's a URL
-    if (isUrl) enrichUrlMetadata(newItem.id, content).finally(() => {
+    if (isUrl) queueEnrichment([newItem], { front: true }).finally(() => {
       // clear pendingUrl after enrichment attempt (not strictly definitive, but avoids permanent blocking)
-      pendingUrlsRef.current.delete(content);
+      pendingUrlsRef.current.delete(key);
     });
     return id;
   };
 
-  const updateItem = (id, updates) => {
+  // `options` go to setData: { label } for the undo history, { track: false } for background updates
+  const updateItem = (id, updates, options = { label: 'Edit' }) => {
     setData(prev => ({
       ...prev,
       items: prev.items.map(item => item.id === id ? { ...item, ...updates } : item)
-    }));
-  };
-
-  const archiveItem = (id) => {
-    updateItem(id, { isArchived: true });
-    setView('bucket');
+    }), options);
   };
 
-  const restoreItem = (id) => {
-    updateItem(id, { isArchived: false });
+  // Shortlisting is held back while a bucket's cooling-off period runs, unless overridden.
+  // Returns false when the change was blocked and needs confirmation.
+  const setItemStatus = (id, status, { override = false } = {}) => {
+    const item = dataRef.current.items.find(i => i.id === id);
+    if (!item) return false;
+    const bucket = dataRef.current.buckets.find(b => b.id === item.bucketId);
+    const cooling = coolingStatus(item, bucket);
+    if (status === 'shortlisted' && cooling?.cooling) {
+      if (!override) return false;
+      const line = overrideLogLine(cooling.remainingMs, status);
+      updateItem(id, { status, coolingOverriddenAt: Date.now(), notes: item.notes ? `${item.notes}\n${line}` : line }, { label: 'Status' });
+      return true;
+    }
+    updateItem(id, { status }, { label: 'Status' });
+    return true;
   };
 
-  const deleteItemPermanently = (id) => {
-    setData(prev => ({ ...prev, items: prev.items.filter(i => i.id !== id) }));
+  const addItemTag = (id, tag) => {
+    setData(prev => ({
+      ...prev,
+      items: prev.items.map(item => item.id === id ? { ...item, tags: addTag(item.tags, tag) } : item)
+    }), { label: 'Add tag' });
   };
 
-  const deleteBucket = (id) => {
+  const removeItemTag = (id, tag) => {
     setData(prev => ({
       ...prev,
-      buckets: prev.buckets.filter(b => b.id !== id),
-      items: prev.items.filter(i => i.bucketId !== id)
-    }));
-    setView('home');
-    setShowSettings(false);
+      items: prev.items.map(item => item.id === id ? { ...item, tags: removeTag(item.tags, tag) } : item)
+    }), { label: 'Remove tag' });
   };
 
-  const reorderItems = (draggedId, targetId) => {
-    if (draggedId === targetId) return;
-    setData(prev => {
-      const items = [...prev.items];
-      const draggedIndex = items.findIndex(i => i.id === draggedId);
-      const targetIndex = items.findIndex(i => i.id === targetId);
-      const [draggedItem] = items.splice(draggedIndex, 1);
-      items.splice(targetIndex, 0, draggedItem);
-      return { ...prev, items };
-    });
+  const openTag = (tag) => {
+    setActiveTag(tag);
+    setView('tag');
   };
 
-  const exportDecisionSnapshot = (bucketId) => {
-    const bucket = data.buckets.find(b => b.id === bucketId);
-    const items = data.items.filter(i => i.bucketId === bucketId && !i.isArchived);
-    
-    const htmlContent = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Snapshot: ${bucket.name}</title>
-        <style>
-          body { font-family: -apple-system, sans-serif; color: #1c1917; line-height: 1.6; padding: 40px; max-width: 800px; margin: 0 auto; background: #fafaf9; }
-          .header { margin-bottom: 40px; border-bottom: 2px solid #e7e5e4; padding-bottom: 20px; }
-          .emoji { font-size: 48px; }
-          h1 { margin: 10px 0; font-size: 32px; font-weight: 900; }
-          .intent { font-style: italic; color: #78716c; margin-bottom: 20px; }
-          .item { background: white; border: 1px solid #e7e5e4; border-radius: 12px; padding: 20px; margin-bottom: 20px; }
-          .item-header { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 10px; }
-          .item-title { font-weight: bold; font-size: 18px; }
-          .status { font-size: 10px; font-weight: 800; text-transform: uppercase; background: #1c1917; color: white; padding: 2px 8px; border-radius: 4px; }
-          .domain { font-size: 12px; color: #a8a29e; }
-          .notes { background: #f5f5f4; padding: 15px; border-radius: 8px; margin-top: 10px; font-size: 14px; white-space: pre-wrap; }
-          .footer { margin-top: 60px; font-size: 12px; color: #a8a29e; text-align: center; }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <div class="emoji">${bucket.emoji}</div>
-          <h1>${bucket.name}</h1>
-          <p class="intent">${bucket.intent || 'No intent specified.'}</p>
-          <p>Exported: ${new Date().toLocaleDateString()}</p>
-        </div>
-        ${items.map(i => `
-          <div class="item">
-            <div class="item-header">
-              <div>
-                <div class="item-title">${i.title}</div>
-                <div class="domain">${i.domain}</div>
-              </div>
-              <div class="status">${i.status}</div>
-            </div>
-            ${i.notes ? `<div class="notes"><strong>Thought Log:</strong><br/>${i.notes}</div>` : ''}
-          </div>
-        `).join('')}
-        <div class="footer">Captured with Intent.</div>
-      </body>
-      </html>
-    `;
-
-    const blob = new Blob([htmlContent], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `Snapshot-${bucket.name.replace(/\s+/g, '-')}.html`;
-    a.click();
-    setShowSettings(false);
+  // Fields to apply from fetched (or cached) metadata. Titles and images are only
+  // replaced when they are placeholders, or when the item was flagged `metaRefresh`,
+  // and never once the user edited them by hand.
+  const metadataUpdate = (currentItem, url, payload) => {
+    const inferred = inferTitleFromUrl(url);
+    const shouldSetTitle = !currentItem?.userEditedTitle && (
+      currentItem?.metaRefresh || !currentItem?.title || currentItem.title === 'Untitled link' || currentItem.title === inferred || (currentItem.title && currentItem.title.length < 3)
+    );
+    const isFavicon = (src) => !!(src && /s2\/favicons|favicon/i.test(src));
+    const shouldSetImage = !currentItem?.userEditedImage && !currentItem?.imageId && (
+      (!currentItem?.image && payload.image) || (currentItem?.image && (currentItem.metaRefresh || isFavicon(currentItem.image)) && payload.image)
+    );
+    const updateObj = { ...pickDetails(payload), site: payload.site, metaStatus: 'done' };
+    if (shouldSetTitle && payload.title) updateObj.title = payload.title;
+    // the proxy's thumbnail belongs to the image it was made from
+    if (shouldSetImage) Object.assign(updateObj, { image: payload.image, thumbnail: payload.thumbnail || null });
+    else if (payload.thumbnail && payload.image === currentItem?.image) updateObj.thumbnail = payload.thumbnail;
+    if (currentItem?.metaRefresh) updateObj.metaRefresh = false;
+    // a just-captured item may not be in dataRef yet; it has no price history either way
+    if (payload.price) Object.assign(updateObj, recordPrice(currentItem || {}, payload.price, 'page'));
+    return updateObj;
   };
 
-  // --- SUB-COMPONENTS ---
+  // Resolves true when metadata was applied; retries are up to the enrichment queue
+  const enrichUrlMetadata = async (id, url) => {
+    try {
+      const cached = getCachedMetadata(url);
 
-  const QuickCapture = () => {
-    const [selectedBucketId, setSelectedBucketId] = useState(activeBucketId || data.lastUsedBucketId || data.buckets[0]?.id);
-    const [inputValue, setInputValue] = useState('');
-    const [pastedImage, setPastedImage] = useState(null);
-    const [isClipboardDetected, setIsClipboardDetected] = useState(false);
-    const [justSaved, setJustSaved] = useState(false);
-    const [isSubmitting, setIsSubmitting] = useState(false);
-    const [alreadySavedMessage, setAlreadySavedMessage] = useState('');
-    const [pastedToast, setPastedToast] = useState('');
-    const [savedToast, setSavedToast] = useState('');
-    const inputRef = useRef(null);
-
-    // touch swipe helpers for mobile dismissal
-    const touchStartY = useRef(null);
-    const touchDeltaY = useRef(0);
-
-    useEffect(() => {
-      const checkClipboard = async () => {
-        try {
-          const items = await navigator.clipboard.read();
-          for (const item of items) {
-            if (item.types.includes('image/png') || item.types.includes('image/jpeg')) {
-              const blob = await item.getType(item.types.find(t => t.startsWith('image/')));
-              const reader = new FileReader();
-              reader.onload = (e) => { setPastedImage(e.target.result); unsavedRef.current = true; };
-              reader.readAsDataURL(blob);
-              setIsClipboardDetected(true);
-            } else if (item.types.includes('text/plain')) {
-              const textBlob = await item.getType('text/plain');
-              const text = await textBlob.text();
-              if (text && (text.startsWith('http') || text.startsWith('www'))) {
-                setInputValue(text);
-                unsavedRef.current = true;
-                setIsClipboardDetected(true);
-                // show small toast indicating where it will be saved
-                setPastedToast(`Detected link — will save to ${data.buckets.find(b => b.id === selectedBucketId)?.name || 'your space'}`);
-                setTimeout(() => setPastedToast(''), 2000);
-              }
-            }
-          }
-        } catch (err) { console.log("Clipboard skip"); }
-      };
-      if (inputRef.current) inputRef.current.focus();
-      checkClipboard();
+      if (cached) {
+        updateItem(id, metadataUpdate(dataRef.current.items.find(i => i.id === id), url, cached), { track: false });
+        return true;
+      }
 
-      return () => { unsavedRef.current = false; };
-    }, []);
+      const refreshing = !!dataRef.current.items.find(i => i.id === id)?.metaRefresh;
+      const result = await fetchPageMetadata(url, { revalidate: refreshing });
+      if (result) {
+        const site = new URL(url).hostname.replace('www.', '');
+        const payload = { ...pickDetails(result), title: result.title, image: result.image, thumbnail: result.thumbnail || null, site, price: result.price || null };
+        putCachedMetadata(url, payload);
 
-    const handleSubmit = async (e) => {
-      e.preventDefault();
-      if (!inputValue.trim() && !pastedImage) return;
-      if (isSubmitting) return;
+        const currentItem = dataRef.current.items.find(i => i.id === id);
+        const updateObj = metadataUpdate(currentItem, url, payload);
 
-      setIsSubmitting(true);
-      setAlreadySavedMessage('');
+        // Add a transient flash marker so UI can animate
+        updateObj.enrichFlash = true;
+        updateItem(id, updateObj, { track: false });
 
-      if (pastedImage) {
-        const id = addItem(pastedImage, selectedBucketId, 'image');
-        // success
-        setJustSaved(true);
-        if (navigator.vibrate) navigator.vibrate(10);
-        setTimeout(() => setJustSaved(false), 1500);
-        setIsSubmitting(false);
-      } else {
-        // Try a quick title and image fetch before creating the item so the item has a good initial title and preview
-        let quickTitle = null;
-        let quickImage = null;
-        try { [quickTitle, quickImage] = await Promise.all([fetchTitleQuick(inputValue, 900), fetchImageQuick(inputValue, 1200)]); } catch (e) { quickTitle = quickTitle || null; quickImage = quickImage || null; }
-
-        const fallbackImage = quickImage || getFavicon(inputValue);
-        const id = addItem(inputValue, selectedBucketId, 'url', quickTitle, fallbackImage);
-
-        // Close capture and show toast for better UX
-        const bucketName = data.buckets.find(b => b.id === selectedBucketId)?.name || 'your space';
-        setModalMode(null);
-        setFlashMessage(`Saved to ${bucketName}`);
-        if (navigator.vibrate) navigator.vibrate(10);
-        const existing = data.items.find(i => i.id === id);
-        if (existing && existing.url === inputValue && (Date.now() - existing.createdAt) > 9000) {
-          // It already existed — inform user briefly
-          setAlreadySavedMessage('This link is already saved');
-          setTimeout(() => setAlreadySavedMessage(''), 1500);
-        } else {
-          // New item
-          setJustSaved(true);
-          if (navigator.vibrate) navigator.vibrate(10);
-          setSavedToast(`Saved to ${data.buckets.find(b => b.id === selectedBucketId)?.name || 'your space'}`);
-          setTimeout(() => setSavedToast(''), 2000);
-          setTimeout(() => setJustSaved(false), 1500);
-        }
-        setIsSubmitting(false);
+        // Articles get an offline copy straight away, before the page can disappear
+        if (payload.contentType === 'article' && !currentItem?.article) saveOfflineCopy(id, { quiet: true });
+
+        // Clear enrichFlash after short delay
+        setTimeout(() => updateItem(id, { enrichFlash: false }, { track: false }), 1400);
+        return true;
       }
+      return false;
+    } catch (e) {
+      console.warn('Enrichment failed', e);
+      return false;
+    }
+  };
 
-      setInputValue('');
-      setPastedImage(null);
-      setIsClipboardDetected(false);
-      unsavedRef.current = false;
-      if (inputRef.current) inputRef.current.focus();
-    };
+  // One queued attempt. Failures are retried with backoff until MAX_ENRICH_ATTEMPTS,
+  // then the item is marked failed and waits for a manual retry.
+  const runEnrichJob = async ({ id, url }) => {
+    const item = dataRef.current.items.find(i => i.id === id);
+    // deleted or edited to another URL in the meantime
+    if (!item || item.url !== url) return;
+    if (await enrichUrlMetadata(id, url)) {
+      if (item.metaRetryAt) updateItem(id, { metaRetryAt: null }, { track: false });
+      return;
+    }
+    const attempts = (item.metaAttempts || 0) + 1;
+    if (attempts < MAX_ENRICH_ATTEMPTS) {
+      const retryAt = Date.now() + backoffDelay(attempts);
+      updateItem(id, { metaAttempts: attempts, metaRetryAt: retryAt }, { track: false });
+      enrichQueue.add({ id, url, notBefore: retryAt });
+    } else {
+      updateItem(id, { metaStatus: 'failed', metaAttempts: attempts, metaRetryAt: null, metaRefresh: false }, { track: false });
+    }
+  };
 
-    return (
-      <div className="fixed inset-x-0 bottom-0 z-50 animate-in slide-in-from-bottom-10 duration-300">
-        <div
-          className="fixed inset-0 bg-stone-900/30 backdrop-blur-[2px]"
-          onClick={() => { setModalMode(null); unsavedRef.current = false; if (navigator.vibrate) navigator.vibrate(5); }}
-          onTouchStart={(e) => { touchStartY.current = e.touches[0].clientY; touchDeltaY.current = 0; }}
-          onTouchMove={(e) => { if (touchStartY.current != null) touchDeltaY.current = e.touches[0].clientY - touchStartY.current; }}
-          onTouchEnd={() => { if (touchDeltaY.current > 80) { setModalMode(null); unsavedRef.current = false; if (navigator.vibrate) navigator.vibrate(5); } touchStartY.current = null; touchDeltaY.current = 0; }}
-        />
-        <div className="relative bg-white border-t border-stone-100 shadow-[0_-15px_50px_rgba(0,0,0,0.15)] p-4 pb-10 rounded-t-[2.5rem]">
-          <div className="flex justify-between items-center mb-4 px-2">
-            <h2 className="text-xs font-bold uppercase tracking-widest text-stone-400">Capture Now</h2>
-            <button onClick={() => { setModalMode(null); unsavedRef.current = false; if (navigator.vibrate) navigator.vibrate(5); }} className="p-1.5 bg-stone-100 rounded-full text-stone-400"><X size={16} /></button>
-          </div>
-          
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="relative">
-              {pastedImage ? (
-                <div className="relative group rounded-xl overflow-hidden bg-stone-100 border-2 border-dashed border-stone-200 p-2">
-                  <img src={pastedImage} className="h-20 w-auto rounded-lg mx-auto shadow-sm" alt="Pasted" />
-                  <button type="button" onClick={() => setPastedImage(null)} className="absolute top-1 right-1 bg-white p-1 rounded-full shadow-md text-stone-500"><X size={14} /></button>
-                </div>
-              ) : (<>
-                <Input 
-                  ref={inputRef}
-                  value={inputValue}
-                  onChange={(e) => { setInputValue(e.target.value); unsavedRef.current = (e.target.value || '').trim().length > 0; }}
-                  onPaste={(e) => {
-                    const text = e.clipboardData?.getData('text/plain');
-                    if (text && (text.startsWith('http') || text.startsWith('www'))) {
-                      setPastedToast(`Detected link — will save to ${data.buckets.find(b => b.id === selectedBucketId)?.name || 'your space'}`);
-                      setTimeout(() => setPastedToast(''), 2000);
-                    }
-                  }}
-                  placeholder="Paste URL or text..." 
-                />
-                {pastedToast && <div className="text-xs text-stone-500 mt-2">{pastedToast}</div>}
-                {savedToast && <div className="text-sm text-green-600 mt-2">{savedToast}</div>}
-              </>)}
-              {isClipboardDetected && !pastedImage && !inputValue && (
-                <div className="absolute right-3 top-3 flex items-center gap-1 text-[10px] font-bold text-blue-600 bg-blue-50 px-2 py-1 rounded-md">
-                  <Clipboard size={10} /> DETECTED
-                </div>
-              )}
+  // the queue outlives renders; keep it pointed at the current worker
+  useEffect(() => { enrichQueue.configure({ onChange: setEnrichStats }); }, []);
+  useEffect(() => { enrichQueue.configure({ worker: runEnrichJob }); });
+
+  // Cached links are applied straight away; only real fetches wait in the queue.
+  // `front` puts the job ahead of bulk imports.
+  const queueEnrichment = (items, { front = false } = {}) => {
+    return Promise.all(items.map(i => (getCachedMetadata(i.url) ? enrichUrlMetadata(i.id, i.url) : enrichQueue.add({ id: i.id, url: i.url }, { front }))));
+  };
+
+  const retryEnrichment = (ids) => {
+    const targets = dataRef.current.items.filter(i => ids.includes(i.id) && i.url);
+    if (!targets.length) return;
+    updateItems(targets.map(i => i.id), { metaStatus: 'pending', metaAttempts: 0, metaRetryAt: null }, { track: false });
+    queueEnrichment(targets, { front: targets.length === 1 });
+  };
+
+  const clearExpiredPreviews = () => {
+    setFlashMessage(`Removed ${countLabel(clearExpiredMetadata(), 'expired preview')}`);
+    setCacheRevision(r => r + 1);
+  };
+
+  const clearPreviewCache = () => {
+    clearMetadataCache();
+    setFlashMessage('Preview cache cleared');
+    setCacheRevision(r => r + 1);
+  };
+
+  const forgetCachedPreview = (url) => {
+    removeCachedMetadata([url]);
+    setCacheRevision(r => r + 1);
+  };
+
+  const retryFailedEnrichment = () => {
+    const failed = dataRef.current.items.filter(i => i.url && i.metaStatus === 'failed');
+    retryEnrichment(failed.map(i => i.id));
+    setFlashMessage(`Retrying ${countLabel(failed.length, 'preview')}`);
+  };
+
+  // Re-read the page for a fresh price; the metadata cache is deliberately bypassed
+  const refreshPrice = async (id) => {
+    const item = dataRef.current.items.find(i => i.id === id);
+    if (!item?.url) return;
+    setCheckingPriceId(id);
+    try {
+      const result = await fetchPageMetadata(item.url);
+      const latest = dataRef.current.items.find(i => i.id === id);
+      if (result?.price && latest) {
+        updateItem(id, recordPrice(latest, result.price, 'page'), { label: 'Check price' });
+        setFlashMessage(`Price: ${formatPrice(result.price.amount, result.price.currency || latest.currency)}`);
+      } else {
+        setFlashMessage('No price found on the page');
+      }
+    } finally {
+      setCheckingPriceId(null);
+    }
+  };
+
+  // Fetch the article through the proxy and keep a sanitized copy for offline reading.
+  // `quiet` is for background saves after enrichment: no messages on failure.
+  const saveOfflineCopy = async (id, { quiet = false } = {}) => {
+    const item = dataRef.current.items.find(i => i.id === id);
+    if (!item?.url) return null;
+    if (ARTICLE_ENDPOINT === METADATA_PROXY) {
+      if (!quiet) setFlashMessage('Reader mode needs the metadata proxy');
+      return null;
+    }
+    setSavingArticleId(id);
+    try {
+      const json = await fetchJsonWithTimeout(ARTICLE_ENDPOINT + encodeURIComponent(item.url), 12000);
+      const base = json.url || item.url;
+      const article = {
+        url: base,
+        title: json.title || item.title,
+        byline: json.byline || null,
+        html: sanitizeArticleHtml(json.html, base),
+        wordCount: json.wordCount || 0,
+        readingMinutes: json.readingMinutes || 1,
+        savedAt: Date.now()
+      };
+      await saveArticle(id, article);
+      updateItem(id, { article: { wordCount: article.wordCount, readingMinutes: article.readingMinutes, savedAt: article.savedAt } }, { track: false });
+      if (!quiet) setFlashMessage('Saved for offline reading');
+      return article;
+    } catch (err) {
+      if (err instanceof StorageQuotaError) reportStorageError(err);
+      else if (!quiet) setFlashMessage('No readable article found on that page');
+      return null;
+    } finally {
+      setSavingArticleId(cur => (cur === id ? null : cur));
+    }
+  };
+
+  const openReader = async (id) => {
+    const stored = await getArticle(id).catch(() => null);
+    const article = stored || await saveOfflineCopy(id);
+    if (article) setReaderArticle({ ...article, id });
+  };
+
+  const closeReader = () => {
+    clearTimeout(readerSaveTimer.current);
+    if (readerArticle && readerScrollRef.current) updateItem(readerArticle.id, { readingProgress: scrollProgress(readerScrollRef.current), readAt: Date.now() }, { track: false });
+    setReaderArticle(null);
+  };
+
+  // Scroll position is saved as a 0..1 fraction, at most about once a second
+  const trackReading = (id) => {
+    clearTimeout(readerSaveTimer.current);
+    const el = readerScrollRef.current;
+    if (!el) return;
+    const progress = scrollProgress(el);
+    readerSaveTimer.current = setTimeout(() => updateItem(id, { readingProgress: progress >= 0.98 ? 1 : progress, readAt: Date.now() }, { track: false }), 800);
+  };
+
+  const setManualPrice = (id, rawAmount, currency) => {
+    const amount = parsePriceAmount(rawAmount);
+    if (amount == null) return false;
+    const item = dataRef.current.items.find(i => i.id === id);
+    if (!item) return false;
+    updateItem(id, recordPrice(item, { amount, currency: normalizeCurrency(currency) }, 'manual'), { label: 'Set price' });
+    return true;
+  };
+
+  // Item history entries name the buckets too, so they stay readable after a bucket is deleted
+  const historyEntry = (action, fromId, toId) => {
+    const nameOf = (id) => dataRef.current.buckets.find(b => b.id === id)?.name || '';
+    return { action, at: Date.now(), fromBucketId: fromId, fromBucketName: nameOf(fromId), toBucketId: toId, toBucketName: nameOf(toId) };
+  };
+
+  // The cooling-off clock restarts in the new bucket
+  // Moved items land on top of the target bucket's manual order
+  const moveItems = (ids, bucketId) => {
+    const moving = new Set(ids);
+    setData(prev => {
+      let position = topPosition(prev.items, bucketId) - ids.length;
+      return {
+        ...prev,
+        items: prev.items.map(i => moving.has(i.id) && i.bucketId !== bucketId
+          ? { ...i, bucketId, position: ++position, bucketAddedAt: Date.now(), history: [...(i.history || []), historyEntry('moved', i.bucketId, bucketId)] }
+          : i),
+        lastUsedBucketId: bucketId
+      };
+    }, { label: 'Move' });
+  };
+
+  const moveItem = (id, bucketId) => moveItems([id], bucketId);
+
+  // Copies keep every field (notes, status, tags, visits, prices) under a new id; a shared
+  // image blob stays alive while any item references it, the offline copy is duplicated.
+  const copyItems = (ids, bucketId) => {
+    const top = topPosition(dataRef.current.items, bucketId) - ids.length;
+    const copies = dataRef.current.items.filter(i => ids.includes(i.id)).map((item, idx) => ({
+      ...item,
+      id: generateId(),
+      bucketId,
+      position: top + idx + 1,
+      bucketAddedAt: Date.now(),
+      copiedFromId: item.id,
+      enrichFlash: false,
+      history: [...(item.history || []), historyEntry('copied', item.bucketId, bucketId)]
+    }));
+    setData(prev => ({ ...prev, items: [...copies, ...prev.items], lastUsedBucketId: bucketId }), { label: 'Copy' });
+    copies.filter(c => c.article).forEach(c => {
+      getArticle(c.copiedFromId).then(a => a && saveArticle(c.id, a)).catch(reportStorageError);
+    });
+    return copies;
+  };
+
+  // Drop handler for bucket targets; Alt/Ctrl/Cmd while dropping copies instead of moving
+  const dropItemOnBucket = (e, bucketId) => {
+    e.preventDefault();
+    setDropBucketId(null);
+    sendItemToBucket(e.dataTransfer.getData(ITEM_DRAG_TYPE), bucketId, { copy: e.altKey || e.ctrlKey || e.metaKey });
+  };
+
+  const sendItemToBucket = (id, bucketId, { copy = false } = {}) => {
+    const item = dataRef.current.items.find(i => i.id === id);
+    const target = dataRef.current.buckets.find(b => b.id === bucketId);
+    if (!item || !target) return;
+    if (copy) {
+      copyItems([id], bucketId);
+      setFlashMessage(`Copied to ${target.name}`);
+    } else if (item.bucketId !== bucketId) {
+      moveItem(id, bucketId);
+      setFlashMessage(`Moved to ${target.name}`);
+    }
+  };
+
+  const dragOverBucket = (e, bucketId) => {
+    if (!e.dataTransfer.types.includes(ITEM_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = e.altKey || e.ctrlKey || e.metaKey ? 'copy' : 'move';
+    if (dropBucketId !== bucketId) setDropBucketId(bucketId);
+  };
+
+  const archiveItem = (id) => {
+    updateItem(id, { isArchived: true }, { label: 'Archive' });
+    showUndo('Archived');
+    setView('bucket');
+  };
+
+  const restoreItem = (id) => {
+    updateItem(id, { isArchived: false }, { label: 'Restore' });
+  };
+
+  // --- Trash ---
+  // Deleting moves records into `data.trash`; they are gone for good only when
+  // deleted from there, when the trash is emptied, or after the retention period.
+
+  const trashItems = (ids, label = 'Delete') => {
+    const doomed = new Set(ids);
+    const at = Date.now();
+    setData(prev => ({
+      ...prev,
+      items: prev.items.filter(i => !doomed.has(i.id)),
+      trash: [...prev.items.filter(i => doomed.has(i.id)).map(i => trashItemEntry(i, at)), ...(prev.trash || [])]
+    }), { label });
+  };
+
+  const deleteItemPermanently = (id) => {
+    trashItems([id], 'Delete item');
+    showUndo('Moved to trash');
+  };
+
+  const deleteBucket = (id) => {
+    const bucket = dataRef.current.buckets.find(b => b.id === id);
+    if (!bucket) return;
+    // sub-spaces keep their parentId: they show as top-level while it is in the trash and nest again on restore
+    setData(prev => ({
+      ...prev,
+      buckets: prev.buckets.filter(b => b.id !== id),
+      items: prev.items.filter(i => i.bucketId !== id),
+      trash: [trashBucketEntry(bucket, prev.items.filter(i => i.bucketId === id)), ...(prev.trash || [])]
+    }), { label: 'Delete space' });
+    showUndo(`${bucket.name} moved to trash`);
+    const parent = dataRef.current.buckets.find(b => b.id === bucket.parentId);
+    if (parent) setActiveBucketId(parent.id);
+    else setView('home');
+    setShowSettings(false);
+  };
+
+  const restoreFromTrash = (entryId) => {
+    const current = dataRef.current;
+    const entry = (current.trash || []).find(e => e.id === entryId);
+    if (!entry) return;
+    if (entry.kind === 'bucket') {
+      setData(prev => ({
+        ...prev,
+        trash: prev.trash.filter(e => e.id !== entryId),
+        buckets: [...prev.buckets, entry.bucket],
+        items: [...entry.items, ...prev.items]
+      }), { label: 'Restore space' });
+      setFlashMessage(`Restored ${entry.bucket.name}`);
+      return;
+    }
+    // the item's own space may be gone too (or still in the trash): fall back to the last used one
+    const home = current.buckets.find(b => b.id === entry.item.bucketId)
+      || current.buckets.find(b => b.id === current.lastUsedBucketId)
+      || current.buckets[0];
+    if (!home) {
+      setFlashMessage('Restore or create a space first');
+      return;
+    }
+    const item = home.id === entry.item.bucketId ? entry.item : { ...entry.item, bucketId: home.id, bucketAddedAt: Date.now(), position: topPosition(current.items, home.id) };
+    setData(prev => ({ ...prev, trash: prev.trash.filter(e => e.id !== entryId), items: [item, ...prev.items] }), { label: 'Restore item' });
+    setFlashMessage(`Restored to ${home.name}`);
+  };
+
+  const deleteFromTrash = (entryId) => {
+    setData(prev => ({ ...prev, trash: (prev.trash || []).filter(e => e.id !== entryId) }), { label: 'Delete forever' });
+    showUndo('Deleted forever');
+  };
+
+  const emptyTrash = () => {
+    setData(prev => ({ ...prev, trash: [] }), { label: 'Empty trash' });
+    showUndo('Trash emptied');
+  };
+
+  const setTrashRetention = (days) => {
+    setData(prev => ({ ...prev, trashRetentionDays: days }), { track: false });
+  };
+
+  // --- Bulk actions (bucket view selection) ---
+  // Each is a single undo step; the destructive ones offer it in a toast.
+
+  const updateItems = (ids, updates, options = { label: 'Edit' }) => {
+    const target = new Set(ids);
+    setData(prev => ({ ...prev, items: prev.items.map(i => target.has(i.id) ? { ...i, ...updates } : i) }), options);
+  };
+
+  const bulkArchive = (ids, isArchived) => {
+    updateItems(ids, { isArchived }, { label: isArchived ? 'Archive' : 'Restore' });
+    showUndo(`${isArchived ? 'Archived' : 'Restored'} ${countLabel(ids.length, 'item')}`);
+  };
+
+  // Same rule as setItemStatus, but there is no bulk override: cooling items are skipped
+  const bulkSetStatus = (ids, status) => {
+    const held = status === 'shortlisted'
+      ? dataRef.current.items.filter(i => ids.includes(i.id) && coolingStatus(i, dataRef.current.buckets.find(b => b.id === i.bucketId))?.cooling).map(i => i.id)
+      : [];
+    const changed = ids.filter(id => !held.includes(id));
+    updateItems(changed, { status }, { label: 'Status' });
+    showUndo(`Marked ${countLabel(changed.length, 'item')} ${status}${held.length ? ` · ${held.length} still cooling off` : ''}`);
+  };
+
+  const bulkMove = (ids, bucketId) => {
+    const target = dataRef.current.buckets.find(b => b.id === bucketId);
+    moveItems(ids, bucketId);
+    showUndo(`Moved ${countLabel(ids.length, 'item')} to ${target?.name || 'space'}`);
+  };
+
+  const bulkDelete = (ids) => {
+    trashItems(ids, 'Delete items');
+    showUndo(`Moved ${countLabel(ids.length, 'item')} to trash`);
+  };
+
+  // Drops cached metadata first so the pages are really fetched again, and lets the
+  // fresh title and image replace the old ones (unless edited by hand)
+  const refreshPreviews = async (ids) => {
+    const targets = dataRef.current.items.filter(i => ids.includes(i.id) && i.url);
+    if (!targets.length) return;
+    removeCachedMetadata(targets.map(i => i.url));
+    updateItems(targets.map(i => i.id), { metaStatus: 'pending', metaAttempts: 0, metaRetryAt: null, metaRefresh: true }, { track: false });
+    setFlashMessage(targets.length === 1 ? 'Refreshing preview' : `Refreshing ${countLabel(targets.length, 'link')}`);
+    await queueEnrichment(targets, { front: targets.length === 1 });
+  };
+
+  // Manual order is per bucket: renumber that bucket's positions
+  const reorderItems = (draggedId, targetId) => {
+    if (draggedId === targetId) return;
+    setData(prev => {
+      const dragged = prev.items.find(i => i.id === draggedId);
+      if (!dragged) return prev;
+      const positions = reorderPositions(prev.items, dragged.bucketId, draggedId, targetId);
+      return {
+        ...prev,
+        items: prev.items.map(i => positions.has(i.id) && positions.get(i.id) !== i.position ? { ...i, position: positions.get(i.id) } : i)
+      };
+    }, { label: 'Reorder' });
+  };
+
+  const reorderBuckets = (draggedId, targetId) => {
+    if (draggedId === targetId) return;
+    setData(prev => {
+      const buckets = [...prev.buckets];
+      const draggedIndex = buckets.findIndex(b => b.id === draggedId);
+      const targetIndex = buckets.findIndex(b => b.id === targetId);
+      if (draggedIndex === -1 || targetIndex === -1) return prev;
+      const [draggedBucket] = buckets.splice(draggedIndex, 1);
+      buckets.splice(targetIndex, 0, draggedBucket);
+      return { ...prev, buckets };
+    }, { label: 'Reorder spaces' });
+  };
+
+  const setBucketArrangement = (id, updates) => {
+    setData(prev => ({
+      ...prev,
+      buckets: prev.buckets.map(b => b.id === id ? { ...b, ...updates } : b)
+    }), { label: 'Sort' });
+  };
+
+  const updateBucket = (id, updates, label = 'Edit space') => {
+    setData(prev => ({
+      ...prev,
+      buckets: prev.buckets.map(b => b.id === id ? { ...b, ...updates } : b)
+    }), { label });
+  };
+
+  const togglePinned = (id) => {
+    const bucket = dataRef.current.buckets.find(b => b.id === id);
+    if (!bucket) return;
+    updateBucket(id, { pinned: !bucket.pinned }, bucket.pinned ? 'Unpin space' : 'Pin space');
+    setShowSettings(false);
+  };
+
+  // One step earlier (-1) or later (+1) among the tiles next to it (home screen or parent space)
+  const moveBucket = (id, offset) => {
+    const bucket = dataRef.current.buckets.find(b => b.id === id);
+    if (!bucket) return;
+    const ordered = siblingBuckets(dataRef.current.buckets, bucket);
+    const index = ordered.findIndex(b => b.id === id);
+    const target = ordered[index + offset];
+    if (index === -1 || !target || !!target.pinned !== !!ordered[index].pinned) return;
+    reorderBuckets(id, target.id);
+  };
+
+  const openSpaceSettings = (id) => {
+    const bucket = dataRef.current.buckets.find(b => b.id === id);
+    if (!bucket) return;
+    setShowSettings(false);
+    setSpaceDraft({
+      id,
+      name: bucket.name,
+      emoji: bucket.emoji,
+      color: spaceColor(bucket).id,
+      coverItemId: bucket.coverItemId || null,
+      viewMode: bucket.viewMode || 'calm',
+      pinned: !!bucket.pinned,
+      parentId: isTopLevel(bucket, dataRef.current.buckets) ? null : bucket.parentId,
+    });
+  };
+
+  const saveSpaceSettings = () => {
+    const { id, name, emoji, color, coverItemId, viewMode, pinned, parentId } = spaceDraft;
+    const bucket = dataRef.current.buckets.find(b => b.id === id);
+    if (!bucket || !name.trim()) return;
+    // a parent deleted meanwhile, or moved under this space, leaves it where it was
+    const current = dataRef.current.buckets;
+    const currentParent = isTopLevel(bucket, current) ? null : bucket.parentId;
+    const validParent = !parentId || parentChoices(current, id).some(b => b.id === parentId);
+    // left as it was: keep the stored parentId, even one that is in the trash
+    const nextParent = parentId === currentParent || !validParent ? bucket.parentId || null : parentId;
+    const updated = {
+      ...bucket,
+      name: name.trim(),
+      emoji: emoji.trim() || bucket.emoji,
+      color: color === SPACE_COLORS[0].id ? null : color,
+      coverItemId,
+      viewMode,
+      pinned,
+      parentId: nextParent,
+    };
+    // moved under another space (or back to the top): it goes last among its new siblings
+    const moved = nextParent !== (bucket.parentId || null);
+    setData(prev => ({
+      ...prev,
+      buckets: moved ? [...prev.buckets.filter(b => b.id !== id), updated] : prev.buckets.map(b => b.id === id ? updated : b)
+    }), { label: moved ? 'Move space' : 'Edit space' });
+    setSpaceDraft(null);
+  };
+
+  const exportDecisionSnapshot = (bucketId, { withNested = false } = {}) => {
+    const bucket = data.buckets.find(b => b.id === bucketId);
+    const items = data.items.filter(i => i.bucketId === bucketId && !i.isArchived);
+    const renderItem = (i) => `
+          <div class="item">
+            <div class="item-header">
+              <div>
+                <div class="item-title">${escapeHtml(i.title)}</div>
+                <div class="domain">${escapeHtml(i.domain)}</div>
+                ${(i.tags || []).length ? `<div class="tags">${i.tags.map(t => `<span class="tag">#${escapeHtml(t)}</span>`).join(' ')}</div>` : ''}
+              </div>
+              <div class="status">${escapeHtml(i.status)}</div>
             </div>
-            
-            <div className="flex gap-2 overflow-x-auto pb-2 scrollbar-hide">
-              {data.buckets.map(b => (
+            ${i.notes ? `<div class="notes"><strong>Thought Log:</strong><br/>${escapeHtml(i.notes)}</div>` : ''}
+          </div>
+        `;
+    // one section per sub-space, titled with its path below this space
+    const sections = withNested ? descendants(data.buckets, bucketId).map(sub => {
+      const path = [...ancestors(data.buckets, sub.id).slice(ancestors(data.buckets, bucketId).length + 1), sub].map(b => b.name).join(' › ');
+      const subItems = data.items.filter(i => i.bucketId === sub.id && !i.isArchived);
+      return `
+        <div class="section">
+          <h2>${escapeHtml(sub.emoji)} ${escapeHtml(path)}</h2>
+          ${sub.intent ? `<p class="intent">${escapeHtml(sub.intent)}</p>` : ''}
+          ${subItems.length ? subItems.map(renderItem).join('') : '<p class="domain">Nothing here yet.</p>'}
+        </div>
+      `;
+    }) : [];
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Snapshot: ${escapeHtml(bucket.name)}</title>
+        <style>
+          body { font-family: -apple-system, sans-serif; color: #1c1917; line-height: 1.6; padding: 40px; max-width: 800px; margin: 0 auto; background: #fafaf9; }
+          .header { margin-bottom: 40px; border-bottom: 2px solid #e7e5e4; padding-bottom: 20px; }
+          .emoji { font-size: 48px; }
+          h1 { margin: 10px 0; font-size: 32px; font-weight: 900; }
+          .intent { font-style: italic; color: #78716c; margin-bottom: 20px; }
+          .item { background: white; border: 1px solid #e7e5e4; border-radius: 12px; padding: 20px; margin-bottom: 20px; }
+          .item-header { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 10px; }
+          .item-title { font-weight: bold; font-size: 18px; }
+          .status { font-size: 10px; font-weight: 800; text-transform: uppercase; background: #1c1917; color: white; padding: 2px 8px; border-radius: 4px; }
+          .domain { font-size: 12px; color: #a8a29e; }
+          .tags { margin-top: 6px; }
+          .tag { font-size: 11px; color: #57534e; background: #f5f5f4; padding: 2px 8px; border-radius: 999px; }
+          .notes { background: #f5f5f4; padding: 15px; border-radius: 8px; margin-top: 10px; font-size: 14px; white-space: pre-wrap; }
+          .section { margin-top: 50px; }
+          h2 { font-size: 22px; font-weight: 900; margin: 0 0 6px; }
+          .footer { margin-top: 60px; font-size: 12px; color: #a8a29e; text-align: center; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <div class="emoji">${escapeHtml(bucket.emoji)}</div>
+          <h1>${escapeHtml(bucket.name)}</h1>
+          <p class="intent">${escapeHtml(bucket.intent) || 'No intent specified.'}</p>
+          <p>Exported: ${new Date().toLocaleDateString()}</p>
+        </div>
+        ${items.map(renderItem).join('')}
+        ${sections.join('')}
+        <div class="footer">Captured with Intent.</div>
+      </body>
+      </html>
+    `;
+
+    downloadFile(htmlContent, `Snapshot-${bucket.name.replace(/\s+/g, '-')}.html`, 'text/html');
+    setShowSettings(false);
+  };
+
+  const exportBackup = async () => {
+    setShowLibraryMenu(false);
+    try {
+      const backup = await buildBackup(data);
+      downloadFile(JSON.stringify(backup), `Captureit-Backup-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+      setFlashMessage(`Backed up ${backup.items.length} items`);
+    } catch (err) {
+      console.error('Backup export failed', err);
+      setFlashMessage('Backup failed');
+    }
+  };
+
+  const chooseBackupFile = async (file) => {
+    setShowLibraryMenu(false);
+    if (!file) return;
+    try {
+      const backup = parseBackup(await file.text());
+      setPendingImport({ backup, fileName: file.name, mode: data.items.length ? 'merge' : 'replace', conflict: 'keep' });
+      setModalMode('import');
+    } catch (err) {
+      setFlashMessage(err.message || 'Could not read that file', 3500);
+    }
+  };
+
+  const importBackup = async () => {
+    const { backup, mode, conflict } = pendingImport;
+    const { data: next, images, articles, summary } = applyBackup(data, backup, { mode, conflict, generateId });
+    try {
+      const urls = new Map();
+      for (const { imageId, blob } of images) urls.set(imageId, await saveImage(imageId, blob));
+      for (const { itemId, article } of articles) await saveArticle(itemId, article);
+      const items = next.items.map(i => (i.imageId && urls.has(i.imageId) ? { ...i, image: urls.get(i.imageId) } : i));
+      setData({ ...next, items }, { label: 'Import backup' });
+      // imported links still waiting for a preview
+      items
+        .filter(i => i.url && i.metaStatus === 'pending' && !enrichQueue.has(i.id))
+        .forEach(i => enrichQueue.add({ id: i.id, url: i.url, notBefore: i.metaRetryAt || 0 }));
+      setPendingImport(null);
+      setModalMode(null);
+      setFlashMessage(`Imported ${summary.added} new, ${summary.updated} updated, ${summary.skipped} skipped`, 3500);
+    } catch (err) {
+      reportStorageError(err);
+    }
+  };
+
+  const exportBucketMarkdown = (bucketId) => {
+    const bucket = data.buckets.find(b => b.id === bucketId);
+    const markdown = bucketToMarkdown(bucket, sortItems(data.items.filter(i => i.bucketId === bucketId), bucket.sortMode));
+    downloadFile(markdown, `${bucket.name.replace(/\s+/g, '-')}.md`, 'text/markdown');
+    setShowSettings(false);
+  };
+
+  const exportLibraryMarkdown = () => {
+    setShowLibraryMenu(false);
+    downloadFile(libraryToMarkdown({ ...data, items: sortItems(data.items) }), `Captureit-Library-${new Date().toISOString().slice(0, 10)}.md`, 'text/markdown');
+  };
+
+  const openUrlImport = (bucketId) => {
+    setShowLibraryMenu(false);
+    setShowSettings(false);
+    setUrlImport({ text: '', bucketId: bucketId || dataRef.current.lastUsedBucketId || dataRef.current.buckets[0]?.id });
+  };
+
+  const chooseUrlListFile = async (file) => {
+    if (!file) return;
+    const text = await file.text();
+    setUrlImport(cur => cur && { ...cur, text: cur.text ? `${cur.text}\n${text}` : text });
+  };
+
+  // Links already saved anywhere in the library are skipped
+  const importUrlList = () => {
+    const { text, bucketId } = urlImport;
+    const entries = parseUrlList(text);
+    const fresh = freshLinks(entries);
+    setUrlImport(null);
+    if (!fresh.length) {
+      setFlashMessage(entries.length ? 'All of those links are already saved' : 'No links found');
+      return;
+    }
+    const top = topPosition(dataRef.current.items, bucketId) - fresh.length;
+    const createdAt = Date.now();
+    const items = fresh.map((e, idx) => createLinkItem(e.url, bucketId, { title: e.title, position: top + idx + 1, createdAt: createdAt - idx }));
+    setData(prev => ({ ...prev, items: [...items, ...prev.items], lastUsedBucketId: bucketId }), { label: 'Import links' });
+    const skipped = entries.length - fresh.length;
+    setFlashMessage(`Imported ${countLabel(items.length, 'link')}${skipped ? `, ${skipped} already saved` : ''}`, 3500);
+    queueEnrichment(items);
+  };
+
+  const renderUrlImport = () => {
+    if (!urlImport) return null;
+    const entries = parseUrlList(urlImport.text);
+    const found = entries.length;
+    const fresh = freshLinks(entries).length;
+    return (
+      <div className="fixed inset-0 bg-stone-50/95 backdrop-blur-sm z-50 flex items-center justify-center p-6">
+        <div className="w-full max-w-sm bg-white p-6 rounded-3xl shadow-xl border border-stone-100 space-y-4">
+          <div>
+            <h2 className="text-lg font-bold">Import Links</h2>
+            <p className="text-xs text-stone-400">Paste a Markdown or plain-text list, or load a file.</p>
+          </div>
+          <textarea
+            value={urlImport.text}
+            onChange={(e) => setUrlImport({ ...urlImport, text: e.target.value })}
+            placeholder={'https://example.com/article\n- [A title](https://example.com/page)'}
+            rows={7}
+            className="w-full bg-stone-100 rounded-xl px-3 py-2 text-sm text-stone-700 font-mono focus:outline-none"
+          />
+          <div className="flex items-center justify-between text-xs">
+            <button type="button" onClick={() => urlListInputRef.current?.click()} className="font-bold text-stone-500 hover:text-stone-800 flex items-center gap-1">
+              <Upload size={14} /> Load file
+            </button>
+            <span className="text-stone-400">
+              {countLabel(fresh, 'new link')}
+              {found > fresh && <> · {found - fresh} already saved</>}
+            </span>
+            <input
+              ref={urlListInputRef}
+              type="file"
+              accept=".md,.markdown,.txt,text/plain,text/markdown"
+              className="hidden"
+              onChange={(e) => { chooseUrlListFile(e.target.files?.[0]); e.target.value = ''; }}
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Into space</label>
+            <select
+              value={urlImport.bucketId}
+              onChange={(e) => setUrlImport({ ...urlImport, bucketId: e.target.value })}
+              className="w-full bg-stone-100 rounded-xl px-3 py-2 text-sm text-stone-700"
+            >
+              {data.buckets.map(b => <option key={b.id} value={b.id}>{b.emoji} {b.name}</option>)}
+            </select>
+          </div>
+          <div className="flex gap-2">
+            <Button type="button" variant="ghost" onClick={() => setUrlImport(null)} className="flex-1">Cancel</Button>
+            <Button type="button" onClick={importUrlList} disabled={!found || !urlImport.bucketId} className="flex-1 disabled:opacity-30">Import</Button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderNewSpace = () => {
+    if (modalMode !== 'bucket') return null;
+    const parent = data.buckets.find(b => b.id === newSpaceParentId);
+    return (
+      <div className="fixed inset-0 bg-stone-50/95 backdrop-blur-sm z-50 flex items-center justify-center p-6">
+        <div className="w-full max-w-xs bg-white p-6 rounded-3xl shadow-xl border border-stone-100">
+          <h2 className="text-lg font-bold mb-4">{parent ? 'Create Sub-space' : 'Create Space'}</h2>
+          {parent && <p className="-mt-3 mb-4 text-xs text-stone-400 truncate">Inside {parent.emoji} {spacePath(data.buckets, parent)}</p>}
+          <form onSubmit={(e) => { e.preventDefault(); addBucket(new FormData(e.target).get('name'), new FormData(e.target).get('emoji'), parent?.id || null); }}>
+            <div className="space-y-4">
+              <div className="flex gap-2">
+                <Input name="emoji" placeholder="🚀" className="w-16 text-center text-xl" maxLength={2} required />
+                <Input name="name" placeholder="Name" autoFocus required />
+              </div>
+              <div className="flex gap-2">
+                <Button type="button" variant="ghost" onClick={() => setModalMode(null)} className="flex-1">Cancel</Button>
+                <Button type="submit" className="flex-1">Create</Button>
+              </div>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  };
+
+  const renderSpaceSettings = () => {
+    if (!spaceDraft) return null;
+    const bucket = data.buckets.find(b => b.id === spaceDraft.id);
+    if (!bucket) return null;
+    const draft = (updates) => setSpaceDraft({ ...spaceDraft, ...updates });
+    const covers = coverCandidates(bucket, data.items).slice(0, 12);
+    // position among the tiles of its group (pinned or not), on the home screen or in its parent
+    const group = siblingBuckets(data.buckets, bucket).filter(b => !!b.pinned === !!bucket.pinned);
+    const index = group.findIndex(b => b.id === bucket.id);
+    const parent = data.buckets.find(b => b.id === bucket.parentId);
+    const moving = (spaceDraft.parentId || null) !== (parent?.id || null);
+    const choices = parentChoices(data.buckets, bucket.id).map(b => ({ id: b.id, label: `${b.emoji} ${spacePath(data.buckets, b)}` })).sort((a, b) => a.label.localeCompare(b.label));
+    const chip = (selected) => `px-3 py-2 rounded-xl text-sm font-bold border transition-colors ${selected ? 'bg-stone-800 text-white border-stone-800' : 'bg-white text-stone-500 border-stone-200'}`;
+    return (
+      <div className="fixed inset-0 bg-stone-50/95 backdrop-blur-sm z-50 flex items-center justify-center p-6">
+        <form
+          onSubmit={(e) => { e.preventDefault(); saveSpaceSettings(); }}
+          className="w-full max-w-sm max-h-full overflow-y-auto bg-white p-6 rounded-3xl shadow-xl border border-stone-100 space-y-5"
+        >
+          <h2 className="text-lg font-bold">Edit Space</h2>
+          <div className="flex gap-2">
+            <Input value={spaceDraft.emoji} onChange={(e) => draft({ emoji: e.target.value })} className="w-16 text-center text-xl" maxLength={2} aria-label="Emoji" />
+            <Input value={spaceDraft.name} onChange={(e) => draft({ name: e.target.value })} placeholder="Name" aria-label="Name" required />
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Accent</label>
+            <div className="flex gap-2">
+              {SPACE_COLORS.map(c => (
                 <button
-                  key={b.id}
+                  key={c.id}
                   type="button"
-                  onClick={() => setSelectedBucketId(b.id)}
-                  className={`flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm transition-all border whitespace-nowrap ${
-                    selectedBucketId === b.id ? 'bg-stone-800 text-white border-stone-800 shadow-md scale-105' : 'bg-white text-stone-500 border-stone-200'
-                  }`}
-                >
-                  <span>{b.emoji}</span> <span className="font-medium">{b.name}</span>
-                </button>
+                  onClick={() => draft({ color: c.id })}
+                  title={c.label}
+                  aria-label={c.label}
+                  aria-pressed={spaceDraft.color === c.id}
+                  className={`w-8 h-8 rounded-full border-2 transition-transform ${spaceDraft.color === c.id ? 'border-stone-800 scale-110' : 'border-white shadow'}`}
+                  style={{ background: c.accent }}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Cover</label>
+            {covers.length ? (
+              <div className="flex gap-2 overflow-x-auto pb-1">
+                <button type="button" onClick={() => draft({ coverItemId: null })} className={`shrink-0 w-14 h-14 rounded-xl text-[10px] font-bold uppercase ${chip(!spaceDraft.coverItemId)}`}>None</button>
+                {covers.map(item => (
+                  <button
+                    key={item.id}
+                    type="button"
+                    onClick={() => draft({ coverItemId: item.id })}
+                    title={item.title}
+                    className={`shrink-0 w-14 h-14 rounded-xl overflow-hidden border-2 ${spaceDraft.coverItemId === item.id ? 'border-stone-800' : 'border-transparent'}`}
+                  >
+                    <PreviewImage src={item.thumbnail} fallback={item.image} className="w-full h-full object-cover" />
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <p className="text-xs text-stone-400">Save something with an image to use it as the cover.</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Default view</label>
+            <div className="flex gap-2">
+              {VIEW_MODES.map(m => (
+                <button key={m.id} type="button" onClick={() => draft({ viewMode: m.id })} className={chip(spaceDraft.viewMode === m.id)}>{m.label}</button>
               ))}
             </div>
+          </div>
 
-            <Button type="submit" className={`w-full ${justSaved ? 'bg-green-600' : 'bg-stone-900'}`} disabled={isSubmitting || (!inputValue && !pastedImage)}>
-              {isSubmitting ? 'Saving...' : (justSaved ? <><CheckCircle2 size={18} /> Captured</> : "Capture")}
-            </Button>
-            {alreadySavedMessage && <div className="text-sm text-slate-500 mt-2">{alreadySavedMessage}</div>}
-          </form>
+          <div className="space-y-2">
+            <label htmlFor="space-parent" className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Inside</label>
+            <select
+              id="space-parent"
+              value={spaceDraft.parentId || ''}
+              onChange={(e) => draft({ parentId: e.target.value || null })}
+              className="w-full bg-stone-50 border border-stone-200 rounded-xl px-3 py-2 text-sm text-stone-600 focus:outline-none"
+            >
+              <option value="">Top level (home screen)</option>
+              {choices.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+            </select>
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">{parent ? `In ${parent.name}` : 'Home screen'}</label>
+            <label className="flex items-center gap-2 text-sm text-stone-600">
+              <input type="checkbox" checked={spaceDraft.pinned} onChange={(e) => draft({ pinned: e.target.checked })} />
+              Pin to the top
+            </label>
+            {moving ? (
+              <p className="text-xs text-stone-400">Saving moves it to the end of its new place.</p>
+            ) : (
+              <div className="flex items-center gap-2 text-sm text-stone-500">
+                <button type="button" onClick={() => moveBucket(bucket.id, -1)} disabled={index <= 0} className="p-1.5 rounded-full bg-stone-100 disabled:opacity-30" aria-label="Move earlier"><ChevronLeft size={16} /></button>
+                <span>Position {index + 1} of {group.length}{bucket.pinned ? ' pinned' : ''}</span>
+                <button type="button" onClick={() => moveBucket(bucket.id, 1)} disabled={index >= group.length - 1} className="p-1.5 rounded-full bg-stone-100 disabled:opacity-30" aria-label="Move later"><ChevronRight size={16} /></button>
+              </div>
+            )}
+          </div>
+
+          <div className="flex gap-2">
+            <Button type="button" variant="ghost" onClick={() => setSpaceDraft(null)} className="flex-1">Cancel</Button>
+            <Button type="submit" disabled={!spaceDraft.name.trim()} className="flex-1 disabled:opacity-30">Save</Button>
+          </div>
+        </form>
+      </div>
+    );
+  };
+
+  // Entries already in the library (anywhere) are not imported again. Same
+  // identity as findDuplicate: the saved link or the page's canonical URL.
+  const freshLinks = (entries) => {
+    const existing = new Set(dataRef.current.items.flatMap(i => [i.url, i.canonicalUrl]).filter(Boolean).map(urlKey));
+    return entries.filter(e => !existing.has(urlKey(e.url)));
+  };
+
+  const chooseBookmarkFile = async (file) => {
+    setShowLibraryMenu(false);
+    if (!file) return;
+    try {
+      const { format, entries } = parseBookmarkFile(await file.text(), file.name);
+      if (!entries.length) throw new Error('No links found in that file');
+      setPendingBookmarks({ fileName: file.name, format, entries, mapFolders: true, bucketId: 'new' });
+      setModalMode('bookmarks');
+    } catch (err) {
+      setFlashMessage(err.message || 'Could not read that file', 3500);
+    }
+  };
+
+  // Folders become buckets (reusing one with the same name); everything else goes
+  // to the chosen bucket or a new one named after the export.
+  const importBookmarks = () => {
+    const { format, entries, mapFolders, bucketId } = pendingBookmarks;
+    const fresh = freshLinks(entries);
+    const now = Date.now();
+    const byName = new Map(dataRef.current.buckets.map(b => [b.name.trim().toLowerCase(), b]));
+    const created = [];
+    const bucketNamed = (name) => {
+      const key = name.trim().toLowerCase();
+      if (!byName.has(key)) {
+        const bucket = { id: generateId(), name, emoji: '📁', viewMode: 'calm', intent: '', createdAt: now };
+        byName.set(key, bucket);
+        created.push(bucket);
+      }
+      return byName.get(key).id;
+    };
+    const fallbackId = bucketId === 'new' ? null : bucketId;
+    const targets = fresh.map(e => (mapFolders && e.folder ? bucketNamed(e.folder) : fallbackId || bucketNamed(BOOKMARK_FORMATS[format])));
+
+    // each bucket's imports go on top of its manual order, in file order
+    const nextPosition = new Map();
+    targets.forEach(id => nextPosition.set(id, (nextPosition.get(id) ?? topPosition(dataRef.current.items, id) + 1) - 1));
+    const items = fresh.map((e, idx) => {
+      const position = nextPosition.get(targets[idx]);
+      nextPosition.set(targets[idx], position + 1);
+      return {
+        ...createLinkItem(e.url, targets[idx], { title: e.title, position, createdAt: e.addedAt || now - idx }),
+        notes: e.notes,
+        tags: e.tags,
+        isArchived: e.archived,
+        bucketAddedAt: now
+      };
+    });
+
+    setData(prev => ({ ...prev, buckets: [...prev.buckets, ...created], items: [...items, ...prev.items] }), { label: 'Import bookmarks' });
+    setPendingBookmarks(null);
+    setModalMode(null);
+    const skipped = entries.length - fresh.length;
+    setFlashMessage(`Imported ${countLabel(items.length, 'link')}${created.length ? ` into ${countLabel(created.length, 'new space')}` : ''}${skipped ? `, ${skipped} already saved` : ''}`, 3500);
+    queueEnrichment(items);
+  };
+
+  const renderBookmarkImport = () => {
+    const fresh = freshLinks(pendingBookmarks.entries);
+    const folders = folderCounts(fresh);
+    const loose = pendingBookmarks.mapFolders ? fresh.filter(e => !e.folder).length : fresh.length;
+    return (
+      <div className="fixed inset-0 bg-stone-50/95 backdrop-blur-sm z-50 flex items-center justify-center p-6">
+        <div className="w-full max-w-xs bg-white p-6 rounded-3xl shadow-xl border border-stone-100 space-y-4">
+          <div>
+            <h2 className="text-lg font-bold">Import Bookmarks</h2>
+            <p className="text-xs text-stone-400 truncate">{BOOKMARK_FORMATS[pendingBookmarks.format]} · {pendingBookmarks.fileName}</p>
+          </div>
+          <p className="text-sm text-stone-600">
+            {countLabel(fresh.length, 'new link')}
+            {pendingBookmarks.entries.length > fresh.length && <span className="text-stone-400"> · {pendingBookmarks.entries.length - fresh.length} already saved</span>}
+          </p>
+          {folders.length > 0 && (
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 text-sm text-stone-600">
+                <input
+                  type="checkbox"
+                  checked={pendingBookmarks.mapFolders}
+                  onChange={(e) => setPendingBookmarks({ ...pendingBookmarks, mapFolders: e.target.checked })}
+                />
+                One space per folder ({folders.length})
+              </label>
+              {pendingBookmarks.mapFolders && (
+                <ul className="max-h-28 overflow-y-auto text-xs text-stone-400 space-y-0.5 pl-6">
+                  {folders.map(f => <li key={f.folder} className="truncate">📁 {f.folder} <span className="text-stone-300">{f.count}</span></li>)}
+                </ul>
+              )}
+            </div>
+          )}
+          {loose > 0 && (
+            <div className="space-y-2">
+              <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">{folders.length && pendingBookmarks.mapFolders ? `Other ${countLabel(loose, 'link')} go to` : 'Into space'}</label>
+              <select
+                value={pendingBookmarks.bucketId}
+                onChange={(e) => setPendingBookmarks({ ...pendingBookmarks, bucketId: e.target.value })}
+                className="w-full bg-stone-100 rounded-xl px-3 py-2 text-sm text-stone-700"
+              >
+                <option value="new">New space: {BOOKMARK_FORMATS[pendingBookmarks.format]}</option>
+                {data.buckets.map(b => <option key={b.id} value={b.id}>{b.emoji} {b.name}</option>)}
+              </select>
+            </div>
+          )}
+          <div className="flex gap-2">
+            <Button type="button" variant="ghost" onClick={() => { setPendingBookmarks(null); setModalMode(null); }} className="flex-1">Cancel</Button>
+            <Button type="button" onClick={importBookmarks} disabled={!fresh.length} className="flex-1 disabled:opacity-30">Import</Button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Compact cross-bucket row used by the search and tag views
+  const renderItemRow = (item, query = '', { draggable = false } = {}) => {
+    const bucket = data.buckets.find(b => b.id === item.bucketId);
+    const intentHit = query.trim() && bucket?.intent && highlightParts(bucket.intent, query).some(p => p.match);
+    return (
+      <button
+        key={item.id}
+        draggable={draggable}
+        onDragStart={draggable ? (e) => { e.dataTransfer.setData(ITEM_DRAG_TYPE, item.id); e.dataTransfer.effectAllowed = 'copyMove'; } : undefined}
+        onDragEnd={draggable ? () => setDropBucketId(null) : undefined}
+        onClick={() => {
+          updateItem(item.id, { visitCount: (item.visitCount || 0) + 1 }, { track: false });
+          setActiveBucketId(item.bucketId);
+          setActiveItemId(item.id);
+          setView('item');
+        }}
+        className={`w-full bg-white rounded-2xl shadow-sm border border-stone-100 p-3 text-left flex gap-3 active:scale-[0.98] transition-all item-card ${item.isArchived ? 'opacity-60' : ''}`}
+      >
+        <div
+          className="w-14 h-14 rounded-xl overflow-hidden shrink-0 flex items-center justify-center"
+          style={{ background: item.image ? 'transparent' : generateGradient(item.url || item.title || item.domain) }}
+        >
+          {item.image ? <PreviewImage src={item.thumbnail} fallback={item.image} className="w-full h-full object-cover" /> : <span className="text-lg font-black text-stone-900/10 uppercase">{getInitial(item.title)}</span>}
         </div>
-      </div>
+        <div className="min-w-0 flex-1">
+          <h3 className="font-bold text-stone-800 leading-tight truncate"><Highlight text={item.title} query={query} /></h3>
+          <p className="text-[10px] text-stone-400 font-bold uppercase mt-1 flex items-center gap-1 truncate">
+            <span>{bucket?.emoji}</span>
+            <span className="truncate">{bucket?.name}</span>
+            <span>·</span>
+            <span className="truncate"><Highlight text={item.domain} query={query} /></span>
+            {item.status !== 'saved' && <><span>·</span><span>{item.status}</span></>}
+          </p>
+          {item.notes && query.trim() && (
+            <p className="text-xs text-stone-500 mt-1 line-clamp-2"><Highlight text={snippetAround(item.notes, query)} query={query} /></p>
+          )}
+          {(item.tags || []).length > 0 && (
+            <p className="text-[11px] text-stone-500 mt-1 flex flex-wrap gap-1">
+              {item.tags.map(t => <span key={t} className="bg-stone-100 rounded-full px-2"><Highlight text={`#${t}`} query={query} /></span>)}
+            </p>
+          )}
+          {intentHit && (
+            <p className="text-xs text-stone-400 italic mt-1 truncate"><Highlight text={bucket.intent} query={query} /></p>
+          )}
+        </div>
+      </button>
     );
   };
 
+  // --- SUB-COMPONENTS ---
+
+  const quickCaptureProps = {
+    data, dataRef, unsavedRef, activeBucketId, sharedCapture, setSharedCapture, setModalMode, setFlashMessage, addItem, moveItem,
+    onOpenItem: (item) => {
+      setActiveBucketId(item.bucketId);
+      setActiveItemId(item.id);
+      setView('item');
+    },
+  };
+
   // --- VIEWS ---
 
+  if (!data) {
+    return <div className="min-h-screen bg-stone-50"><StorageAlert /></div>;
+  }
+
   if (view === 'home') {
+    const tagCloud = collectTags(data.items.filter(i => !i.isArchived)).slice(0, 30);
+    const pendingPreviews = data.items.filter(i => i.url && i.metaStatus === 'pending').length;
+    const failedPreviews = data.items.filter(i => i.url && i.metaStatus === 'failed').length;
+    const homeBuckets = pinnedFirst(topLevelBuckets(data.buckets));
     return (
       <div className={`min-h-screen bg-stone-50 text-stone-900 flex flex-col items-center ${isNavigating ? `is-navigating navigation-${navigationDirection}` : ''}`}>
         <div className="w-full max-w-md min-h-screen flex flex-col relative px-6">
-          <header className="pt-16 pb-6">
-            <h1 className="text-3xl font-black tracking-tight text-stone-800">Spaces</h1>
-            <p className="text-stone-400 text-sm font-medium">Capture everything. Edit later.</p>
+          <header className="pt-16 pb-6 flex items-start justify-between">
+            <div>
+              <h1 className="text-3xl font-black tracking-tight text-stone-800">Spaces</h1>
+              <p className="text-stone-400 text-sm font-medium">Capture everything. Edit later.</p>
+            </div>
+            <div className="relative">
+              <button onClick={() => setView('search')} className="p-2 rounded-full hover:bg-stone-200 text-stone-400" title="Search">
+                <Search size={20} />
+              </button>
+              <button onClick={() => setShowLibraryMenu(!showLibraryMenu)} className="p-2 -mr-2 rounded-full hover:bg-stone-200 text-stone-400">
+                <MoreVertical size={20} />
+              </button>
+              {showLibraryMenu && (
+                <div className="absolute top-full right-0 mt-2 w-56 bg-white rounded-2xl shadow-xl border border-stone-100 p-2 z-30 animate-in fade-in zoom-in-95 duration-100">
+                  <button
+                    onClick={exportBackup}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
+                  >
+                    <Download size={18} /> Export Backup
+                  </button>
+                  <button
+                    onClick={() => backupInputRef.current?.click()}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
+                  >
+                    <Upload size={18} /> Import Backup
+                  </button>
+                  <button
+                    onClick={exportLibraryMarkdown}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
+                  >
+                    <FileText size={18} /> Export Markdown
+                  </button>
+                  <button
+                    onClick={() => openUrlImport()}
+                    disabled={!data.buckets.length}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors disabled:opacity-30"
+                  >
+                    <ListPlus size={18} /> Import Link List
+                  </button>
+                  <button
+                    onClick={() => bookmarkInputRef.current?.click()}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
+                  >
+                    <BookmarkPlus size={18} /> Import Bookmarks
+                  </button>
+                  <button
+                    onClick={() => { setShowLibraryMenu(false); setView('trash'); }}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
+                  >
+                    <Trash2 size={18} /> Trash{data.trash?.length ? ` (${data.trash.length})` : ''}
+                  </button>
+                  <button
+                    onClick={() => { setShowLibraryMenu(false); setView('settings'); }}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
+                  >
+                    <Settings size={18} /> Settings
+                  </button>
+                  <div className="h-px bg-stone-100 my-1" />
+                  <button
+                    disabled={!history.past.length}
+                    onClick={() => { const entry = undo(); if (entry) setFlashMessage(`Undid: ${entry.label}`); }}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors disabled:opacity-30"
+                  >
+                    <Undo2 size={18} /> <span className="truncate">Undo{history.past.length ? `: ${history.past[history.past.length - 1].label}` : ''}</span>
+                  </button>
+                  <button
+                    disabled={!history.future.length}
+                    onClick={() => { const entry = redo(); if (entry) setFlashMessage(`Redid: ${entry.label}`); }}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors disabled:opacity-30"
+                  >
+                    <Redo2 size={18} /> <span className="truncate">Redo{history.future.length ? `: ${history.future[0].label}` : ''}</span>
+                  </button>
+                </div>
+              )}
+              <input
+                ref={backupInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={(e) => { chooseBackupFile(e.target.files?.[0]); e.target.value = ''; }}
+              />
+              <input
+                ref={bookmarkInputRef}
+                type="file"
+                accept=".html,.htm,.csv,text/html,text/csv"
+                className="hidden"
+                onChange={(e) => { chooseBookmarkFile(e.target.files?.[0]); e.target.value = ''; }}
+              />
+            </div>
           </header>
 
-          <div className="grid grid-cols-2 gap-4 pb-24">
-            {data.buckets.map(bucket => (
+          {showLibraryMenu && <div className="fixed inset-0 z-20" onClick={() => setShowLibraryMenu(false)} />}
+
+          {/* Enrichment queue status: links still waiting for a preview, and ones that gave up */}
+          {(pendingPreviews > 0 || failedPreviews > dismissedFailed) && (
+            <div className="mb-6 flex items-center gap-3 bg-white border border-stone-100 rounded-2xl px-4 py-3 shadow-sm text-xs font-bold text-stone-500" role="status">
+              <RefreshCw size={14} className={`shrink-0 text-stone-400 ${enrichStats.running ? 'animate-spin' : ''}`} />
+              <span className="flex-1">
+                {pendingPreviews > 0 && `${countLabel(pendingPreviews, 'preview')} pending`}
+                {pendingPreviews > 0 && failedPreviews > 0 && ' · '}
+                {failedPreviews > 0 && <span className="text-red-500">{failedPreviews} failed</span>}
+              </span>
+              {failedPreviews > 0 && <button onClick={retryFailedEnrichment} className="text-stone-800 hover:underline">Retry failed</button>}
+              {failedPreviews > 0 && !pendingPreviews && (
+                <button onClick={() => setDismissedFailed(failedPreviews)} className="p-1 -mr-1 text-stone-300 hover:text-stone-500" title="Hide"><X size={14} /></button>
+              )}
+            </div>
+          )}
+
+          <RipeSection items={data.items} buckets={data.buckets} renderRow={item => renderItemRow(item, '', { draggable: true })} />
+
+          <div className={`grid grid-cols-2 gap-4 ${tagCloud.length ? 'pb-10' : 'pb-24'}`}>
+            {homeBuckets.map(bucket => {
+              const color = bucket.color ? spaceColor(bucket) : null;
+              const cover = coverItem(bucket, data.items);
+              const subSpaces = childBuckets(data.buckets, bucket.id).length;
+              return (
               <button
                 key={bucket.id}
+                {...bucketReorder.bind(bucket.id, { ids: homeBuckets.map(b => b.id), onReorder: reorderBuckets })}
                 onClick={() => { setActiveBucketId(bucket.id); setView('bucket'); }}
-                className="aspect-square bg-white rounded-3xl p-5 flex flex-col justify-between items-start shadow-sm border border-stone-100 active:scale-95 transition-all hover:shadow-md space-card"
+                onDragOver={(e) => dragOverBucket(e, bucket.id)}
+                onDragLeave={() => setDropBucketId(cur => (cur === bucket.id ? null : cur))}
+                onDrop={(e) => dropItemOnBucket(e, bucket.id)}
+                style={color ? { backgroundColor: color.tint } : undefined}
+                className={`relative overflow-hidden aspect-square bg-white rounded-3xl p-5 flex flex-col justify-between items-start shadow-sm border active:scale-95 transition-all hover:shadow-md space-card ${dropBucketId === bucket.id || (bucketReorder.drag?.overId === bucket.id && bucketReorder.drag.id !== bucket.id) ? 'border-stone-800 ring-2 ring-stone-800 scale-105' : 'border-stone-100'} ${bucketReorder.drag?.id === bucket.id ? 'shadow-xl' : ''}`}
               >
-                <div className="flex justify-between w-full">
+                {cover && <PreviewImage src={cover.thumbnail} fallback={cover.image} className="absolute inset-0 w-full h-full object-cover opacity-25 pointer-events-none" />}
+                <div className="relative flex justify-between w-full">
                   <span className="text-4xl">{bucket.emoji}</span>
-                  <span className="bg-stone-100 text-stone-400 px-2 py-0.5 rounded-full text-[10px] font-bold space-count">
-                    {data.items.filter(i => i.bucketId === bucket.id && !i.isArchived).length}
+                  <span className="flex items-center gap-1">
+                    {bucket.pinned && <Pin size={12} className="text-stone-400" aria-label="Pinned" />}
+                    <span className="bg-stone-100 text-stone-400 px-2 py-0.5 rounded-full text-[10px] font-bold space-count" style={color ? { color: color.accent } : undefined}>
+                      {rolledUpCount(data.buckets, data.items, bucket.id)}
+                    </span>
                   </span>
                 </div>
-                <span className="font-bold text-stone-700 text-lg leading-tight text-left space-title">{bucket.name}</span>
+                <span className="relative text-left">
+                  <span className="block font-bold text-stone-700 text-lg leading-tight space-title">{bucket.name}</span>
+                  {subSpaces > 0 && <span className="block text-[10px] font-bold uppercase tracking-widest text-stone-400 mt-1">{countLabel(subSpaces, 'space')} inside</span>}
+                </span>
               </button>
-            ))}
-            <button onClick={() => setModalMode('bucket')} className="aspect-square rounded-3xl p-5 flex flex-col justify-center items-center border-2 border-dashed border-stone-200 text-stone-300 hover:bg-stone-100 transition-colors">
+              );
+            })}
+            <button onClick={() => { setNewSpaceParentId(null); setModalMode('bucket'); }} className="aspect-square rounded-3xl p-5 flex flex-col justify-center items-center border-2 border-dashed border-stone-200 text-stone-300 hover:bg-stone-100 transition-colors">
               <Plus size={32} />
               <span className="text-xs font-bold mt-2 uppercase tracking-widest">New Space</span>
             </button>
+            <p className="sr-only" aria-live="polite">{bucketReorder.announcement}</p>
           </div>
 
+          {tagCloud.length > 0 && (
+            <section className="pb-24">
+              <h2 className="text-xs font-bold uppercase tracking-widest text-stone-400 mb-3 flex items-center gap-1.5"><Tag size={12} /> Tags</h2>
+              <div className="flex flex-wrap gap-2 items-baseline">
+                {tagCloud.map(({ tag, count }) => (
+                  <button
+                    key={tag}
+                    onClick={() => openTag(tag)}
+                    className="text-stone-600 hover:text-stone-900 bg-white border border-stone-100 rounded-full px-3 py-1 shadow-sm transition-colors"
+                    style={{ fontSize: `${12 + Math.round(8 * count / tagCloud[0].count)}px` }}
+                  >
+                    #{tag}
+                  </button>
+                ))}
+              </div>
+            </section>
+          )}
+
           {!modalMode && (
             <div className="fixed bottom-10 left-0 right-0 flex justify-center z-10">
               <button onClick={() => setModalMode('item')} className="bg-stone-900 text-stone-50 rounded-full px-8 py-4 shadow-2xl flex items-center gap-2 active:scale-90 transition-all hover:bg-black ring-8 ring-stone-50 capture-button">
@@ -995,47 +2633,347 @@ export default function App() {
             </div>
           )}
 
-          {modalMode === 'bucket' && (
+          {renderNewSpace()}
+          {modalMode === 'import' && pendingImport && (
             <div className="fixed inset-0 bg-stone-50/95 backdrop-blur-sm z-50 flex items-center justify-center p-6">
-              <div className="w-full max-w-xs bg-white p-6 rounded-3xl shadow-xl border border-stone-100">
-                <h2 className="text-lg font-bold mb-4">Create Space</h2>
-                <form onSubmit={(e) => { e.preventDefault(); addBucket(new FormData(e.target).get('name'), new FormData(e.target).get('emoji')); }}>
-                  <div className="space-y-4">
-                    <div className="flex gap-2">
-                      <Input name="emoji" placeholder="🚀" className="w-16 text-center text-xl" maxLength={2} required />
-                      <Input name="name" placeholder="Name" autoFocus required />
-                    </div>
-                    <div className="flex gap-2">
-                      <Button type="button" variant="ghost" onClick={() => setModalMode(null)} className="flex-1">Cancel</Button>
-                      <Button type="submit" className="flex-1">Create</Button>
-                    </div>
+              <div className="w-full max-w-xs bg-white p-6 rounded-3xl shadow-xl border border-stone-100 space-y-4">
+                <div>
+                  <h2 className="text-lg font-bold">Import Backup</h2>
+                  <p className="text-xs text-stone-400 truncate">{pendingImport.fileName}</p>
+                </div>
+                <p className="text-sm text-stone-600">
+                  {pendingImport.backup.buckets.length} spaces, {pendingImport.backup.items.length} items, {Object.keys(pendingImport.backup.images).length} images
+                </p>
+                <div className="flex gap-2">
+                  {[['merge', 'Merge'], ['replace', 'Replace All']].map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => setPendingImport({ ...pendingImport, mode })}
+                      className={`flex-1 py-2 rounded-xl text-xs font-bold border transition-all ${pendingImport.mode === mode ? 'bg-stone-900 border-stone-900 text-white' : 'bg-white border-stone-100 text-stone-400'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {pendingImport.mode === 'merge' ? (
+                  <div className="space-y-2">
+                    <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">When an item already exists</label>
+                    <select
+                      value={pendingImport.conflict}
+                      onChange={(e) => setPendingImport({ ...pendingImport, conflict: e.target.value })}
+                      className="w-full bg-stone-100 rounded-xl px-3 py-2 text-sm text-stone-700"
+                    >
+                      {Object.entries(CONFLICT_STRATEGIES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
                   </div>
-                </form>
+                ) : (
+                  <p className="text-xs text-red-500">Everything currently saved will be replaced by this backup.</p>
+                )}
+                <div className="flex gap-2">
+                  <Button type="button" variant="ghost" onClick={() => { setPendingImport(null); setModalMode(null); }} className="flex-1">Cancel</Button>
+                  <Button type="button" onClick={importBackup} className="flex-1">Import</Button>
+                </div>
               </div>
             </div>
           )}
-          {modalMode === 'item' && <QuickCapture />}
+          {modalMode === 'bookmarks' && pendingBookmarks && renderBookmarkImport()}
+          {modalMode === 'item' && <QuickCapture {...quickCaptureProps} />}
+          {renderUrlImport()}
+          <Flash />
+          <EnrichProgress />
+          <UndoToast />
+          <StorageAlert />
+        </div>
+      </div>
+    );
+  }
+
+  if (view === 'search') {
+    const results = searchIdx ? searchIndex(searchIdx, searchQuery, searchFilters) : [];
+    const filterCount = Object.keys(DEFAULT_SEARCH_FILTERS).filter(k => searchFilters[k] !== DEFAULT_SEARCH_FILTERS[k]).length;
+    const selectClass = 'w-full bg-stone-100 rounded-xl px-3 py-2 text-sm text-stone-700';
+
+    return (
+      <div className={`min-h-screen bg-stone-50 text-stone-900 flex flex-col items-center ${isNavigating ? `is-navigating navigation-${navigationDirection}` : ''}`}>
+        <div className="w-full max-w-md min-h-screen flex flex-col relative px-4">
+          <header className="pt-10 pb-4 flex items-center gap-2 sticky top-0 bg-stone-50/90 backdrop-blur-md z-20">
+            <button onClick={() => setView('home')} className="p-2 -ml-2 rounded-full hover:bg-stone-200"><ArrowLeft size={24} /></button>
+            <Input
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search titles, notes, sites, intents..."
+              autoFocus
+            />
+            <button onClick={() => setShowSearchFilters(!showSearchFilters)} className={`relative p-2 rounded-full hover:bg-stone-200 ${filterCount ? 'text-stone-800' : 'text-stone-400'}`} title="Filters">
+              <SlidersHorizontal size={20} />
+              {filterCount > 0 && <span className="absolute -top-0.5 -right-0.5 bg-stone-900 text-white text-[9px] font-bold rounded-full w-4 h-4 flex items-center justify-center">{filterCount}</span>}
+            </button>
+          </header>
+
+          {showSearchFilters && (
+            <div className="grid grid-cols-2 gap-2 mb-4 px-1">
+              <select value={searchFilters.status} onChange={(e) => setSearchFilters({ ...searchFilters, status: e.target.value })} className={selectClass}>
+                <option value="any">Any status</option>
+                {['saved', 'shortlisted', 'rejected'].map(st => <option key={st} value={st}>{st[0].toUpperCase() + st.slice(1)}</option>)}
+              </select>
+              <select value={searchFilters.archived} onChange={(e) => setSearchFilters({ ...searchFilters, archived: e.target.value })} className={selectClass}>
+                <option value="active">Active only</option>
+                <option value="archived">Archived only</option>
+                <option value="all">Active + archived</option>
+              </select>
+              <select value={searchFilters.bucketId} onChange={(e) => setSearchFilters({ ...searchFilters, bucketId: e.target.value })} className={`${selectClass} col-span-2`}>
+                <option value="">All spaces</option>
+                {data.buckets.map(b => <option key={b.id} value={b.id}>{b.emoji} {b.name}</option>)}
+              </select>
+              <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">From
+                <input type="date" value={searchFilters.from} onChange={(e) => setSearchFilters({ ...searchFilters, from: e.target.value })} className={`${selectClass} mt-1`} />
+              </label>
+              <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">To
+                <input type="date" value={searchFilters.to} onChange={(e) => setSearchFilters({ ...searchFilters, to: e.target.value })} className={`${selectClass} mt-1`} />
+              </label>
+              {filterCount > 0 && (
+                <button onClick={() => setSearchFilters(DEFAULT_SEARCH_FILTERS)} className="col-span-2 text-xs font-bold text-stone-400 hover:text-stone-700 py-1">Clear filters</button>
+              )}
+            </div>
+          )}
+
+          <div className="flex-1 space-y-2 pb-20">
+            {results.length === 0 && (
+              <div className="flex flex-col items-center justify-center py-20 text-stone-300 space-y-4 text-center empty-state">
+                <div className="p-6 bg-stone-100 rounded-full"><Search size={32} /></div>
+                <p className="small-meta empty-state-title">{searchQuery.trim() || filterCount ? 'Nothing matches.' : 'Nothing saved yet.'}</p>
+              </div>
+            )}
+            {results.map(item => renderItemRow(item, searchQuery))}
+          </div>
+        </div>
+        <StorageAlert />
+      </div>
+    );
+  }
+
+  if (view === 'tag') {
+    const tagged = data.items.filter(i => !i.isArchived && hasTag(i, activeTag || ''));
+
+    return (
+      <div className={`min-h-screen bg-stone-50 text-stone-900 flex flex-col items-center ${isNavigating ? `is-navigating navigation-${navigationDirection}` : ''}`}>
+        <div className="w-full max-w-md min-h-screen flex flex-col relative px-4">
+          <header className="pt-10 pb-4 flex items-center justify-between sticky top-0 bg-stone-50/90 backdrop-blur-md z-20">
+            <button onClick={() => setView('home')} className="p-2 -ml-2 rounded-full hover:bg-stone-200"><ArrowLeft size={24} /></button>
+            <h1 className="text-lg font-bold flex items-center gap-1"><Hash size={18} className="text-stone-400" /> {activeTag}</h1>
+            <span className="text-xs font-bold text-stone-400 w-10 text-right">{tagged.length}</span>
+          </header>
+          <div className="flex-1 space-y-2 pb-20">
+            {tagged.length === 0 && (
+              <div className="flex flex-col items-center justify-center py-20 text-stone-300 space-y-4 text-center empty-state">
+                <div className="p-6 bg-stone-100 rounded-full"><Tag size={32} /></div>
+                <p className="small-meta empty-state-title">No items carry this tag.</p>
+              </div>
+            )}
+            {tagged.map(item => renderItemRow(item))}
+          </div>
+        </div>
+        <StorageAlert />
+      </div>
+    );
+  }
+
+  if (view === 'settings') {
+    const cache = inspectMetadataCache(now);
+
+    return (
+      <div className={`min-h-screen bg-stone-50 text-stone-900 flex flex-col items-center ${isNavigating ? `is-navigating navigation-${navigationDirection}` : ''}`}>
+        <div className="w-full max-w-md min-h-screen flex flex-col relative px-4">
+          <header className="pt-10 pb-4 flex items-center justify-between sticky top-0 bg-stone-50/90 backdrop-blur-md z-20">
+            <button onClick={() => setView('home')} className="p-2 -ml-2 rounded-full hover:bg-stone-200"><ArrowLeft size={24} /></button>
+            <h1 className="text-lg font-bold flex items-center gap-2"><Settings size={18} className="text-stone-400" /> Settings</h1>
+            <div className="w-10" />
+          </header>
+
+          <section className="space-y-4 pb-20">
+            <div className="px-2">
+              <h2 className="text-xs font-bold uppercase tracking-widest text-stone-400 flex items-center gap-1.5"><Database size={12} /> Preview cache</h2>
+              <p className="text-xs text-stone-400 mt-1">
+                Fetched titles and images are reused for {Math.round(META_CACHE_TTL_MS / (24 * 60 * 60 * 1000))} days, up to {META_CACHE_MAX_ENTRIES} pages. Clearing it never changes saved items.
+              </p>
+            </div>
+            <div className="bg-white rounded-2xl border border-stone-100 shadow-sm p-4 flex items-center gap-3">
+              <p className="flex-1 text-sm text-stone-600">
+                {countLabel(cache.entries.length, 'page')} · {Math.max(1, Math.round(cache.bytes / 1024))} KB
+                {cache.expired > 0 && <span className="text-stone-400"> · {cache.expired} expired</span>}
+              </p>
+              <button onClick={clearExpiredPreviews} disabled={!cache.expired} className="px-3 py-2 rounded-full text-xs font-bold text-stone-500 hover:bg-stone-100 disabled:opacity-30">Clear expired</button>
+              <button onClick={clearPreviewCache} disabled={!cache.entries.length} className="px-3 py-2 rounded-full text-xs font-bold text-red-500 hover:bg-red-50 disabled:opacity-30">Clear all</button>
+            </div>
+            <div className="space-y-2">
+              {cache.entries.map(entry => (
+                <div key={entry.url} className="bg-white rounded-2xl border border-stone-100 p-3 flex items-center gap-3">
+                  <img src={getFavicon(entry.url)} className="w-4 h-4 rounded-sm shrink-0" alt="" />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-bold text-stone-700 truncate">{entry.data?.title || entry.url}</p>
+                    <p className="text-[11px] text-stone-400 truncate">
+                      {getDomain(entry.url)} · fetched {new Date(entry.fetchedAt).toLocaleDateString()}
+                      {entry.expired ? <span className="text-amber-600"> · expired</span> : ` · until ${new Date(entry.expiresAt).toLocaleDateString()}`}
+                    </p>
+                  </div>
+                  <button onClick={() => forgetCachedPreview(entry.url)} className="p-2 rounded-full text-stone-300 hover:text-red-500 hover:bg-red-50" title="Remove from cache"><X size={16} /></button>
+                </div>
+              ))}
+            </div>
+          </section>
           <Flash />
+          <EnrichProgress />
+        </div>
+      </div>
+    );
+  }
+
+  if (view === 'trash') {
+    const trash = data.trash || [];
+    const days = retentionDays(data);
+
+    return (
+      <div className={`min-h-screen bg-stone-50 text-stone-900 flex flex-col items-center ${isNavigating ? `is-navigating navigation-${navigationDirection}` : ''}`}>
+        <div className="w-full max-w-md min-h-screen flex flex-col relative px-4">
+          <header className="pt-10 pb-4 flex items-center justify-between sticky top-0 bg-stone-50/90 backdrop-blur-md z-20">
+            <button onClick={() => setView('home')} className="p-2 -ml-2 rounded-full hover:bg-stone-200"><ArrowLeft size={24} /></button>
+            <h1 className="text-lg font-bold flex items-center gap-2"><Trash2 size={18} className="text-stone-400" /> Trash</h1>
+            <button
+              onClick={emptyTrash}
+              disabled={!trash.length}
+              className="px-3 py-2 rounded-full text-xs font-bold text-red-500 hover:bg-red-50 disabled:opacity-30"
+            >
+              Empty
+            </button>
+          </header>
+
+          <div className="mb-6 px-2 flex items-center gap-2 text-xs text-stone-400">
+            <label htmlFor="trash-retention">Keep deleted things for</label>
+            <select
+              id="trash-retention"
+              value={days}
+              onChange={(e) => setTrashRetention(Number(e.target.value))}
+              className="bg-transparent font-bold text-stone-500 focus:outline-none"
+            >
+              {[...new Set([...TRASH_RETENTION_CHOICES, days])].map(d => (
+                <option key={d} value={d}>{d ? `${d} days` : 'Until emptied'}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex-1 space-y-2 pb-20">
+            {trash.length === 0 && (
+              <div className="flex flex-col items-center justify-center py-20 text-stone-300 space-y-4 text-center empty-state">
+                <div className="p-6 bg-stone-100 rounded-full"><Trash2 size={32} /></div>
+                <p className="small-meta empty-state-title">Nothing in the trash.</p>
+              </div>
+            )}
+            {trash.map(entry => {
+              const ends = expiresAt(entry, days);
+              const bucketName = entry.kind === 'item' && (data.buckets.find(b => b.id === entry.item.bucketId)?.name || trash.find(e => e.id === entry.item.bucketId)?.bucket.name);
+              return (
+                <div key={entry.id} className="bg-white rounded-2xl shadow-sm border border-stone-100 p-3 flex items-center gap-3">
+                  <div className="w-12 h-12 rounded-xl overflow-hidden shrink-0 flex items-center justify-center bg-stone-100">
+                    {entry.kind === 'bucket'
+                      ? <span className="text-2xl">{entry.bucket.emoji}</span>
+                      : entry.item.image ? <PreviewImage src={entry.item.thumbnail} fallback={entry.item.image} className="w-full h-full object-cover grayscale" /> : <span className="text-lg font-black text-stone-900/10 uppercase">{getInitial(entry.item.title)}</span>}
+                  </div>
+                  <div className="min-w-0 flex-1">
+                    <p className="font-bold text-stone-700 truncate">{entry.kind === 'bucket' ? entry.bucket.name : entry.item.title}</p>
+                    <p className="text-[11px] text-stone-400 truncate">
+                      {entry.kind === 'bucket' ? `Space · ${countLabel(entry.items.length, 'item')}` : `${entry.item.domain || 'Item'}${bucketName ? ` · from ${bucketName}` : ''}`}
+                      {' · '}deleted {new Date(entry.deletedAt).toLocaleDateString()}
+                      {ends && ` · ${ends > now ? formatRemaining(ends - now) : 'goes on next start'}`}
+                    </p>
+                  </div>
+                  <button onClick={() => restoreFromTrash(entry.id)} className="p-2 text-stone-400 hover:text-stone-800 transition-colors" title="Restore"><RotateCcw size={16} /></button>
+                  <button onClick={() => deleteFromTrash(entry.id)} className="p-2 text-stone-400 hover:text-red-500 transition-colors" title="Delete forever"><X size={16} /></button>
+                </div>
+              );
+            })}
+          </div>
         </div>
+        <Flash />
+        <EnrichProgress />
+        <UndoToast />
+        <StorageAlert />
       </div>
     );
   }
 
   if (view === 'bucket') {
     const bucket = data.buckets.find(b => b.id === activeBucketId);
-    const activeItems = data.items.filter(i => i.bucketId === activeBucketId && !i.isArchived);
-    const archivedItems = data.items.filter(i => i.bucketId === activeBucketId && i.isArchived);
+    const visibleItems = data.items.filter(i => i.bucketId === activeBucketId);
+    const activeItems = visibleItems.filter(i => !i.isArchived);
+    const archivedItems = visibleItems.filter(i => i.isArchived);
     const isCompact = bucket?.viewMode === 'compact';
 
     if (!bucket) return setView('home');
 
+    const sortMode = bucket.sortMode || 'manual';
+    const groupBy = bucket.groupBy || 'none';
+    const groups = groupItems(sortItems(activeItems, sortMode), groupBy);
+    // drag-to-reorder only makes sense when the manual order is what is shown
+    const canReorder = sortMode === 'manual';
+    const displayedIds = groups.flatMap(g => g.items.map(i => i.id));
+
+    const selecting = selection?.bucketId === bucket.id;
+    const selectedIds = selecting ? selection.ids.filter(id => visibleItems.some(i => i.id === id)) : [];
+    const selectedItems = visibleItems.filter(i => selectedIds.includes(i.id));
+    // "All" means what is on screen: archived items only while the archive is expanded
+    const selectable = showArchive ? visibleItems : activeItems;
+    const allSelected = selectable.length > 0 && selectable.every(i => selectedIds.includes(i.id));
+    const toggleSelected = (id) => setSelection(prev => ({
+      bucketId: bucket.id,
+      ids: prev?.ids.includes(id) ? prev.ids.filter(x => x !== id) : [...(prev?.ids || []), id]
+    }));
+    // run a bulk action on the selection, then leave select mode
+    const runBulk = (action) => { action(selectedIds); setSelection(null); };
+    const trail = ancestors(data.buckets, bucket.id);
+    const parent = trail[trail.length - 1];
+    const subSpaces = pinnedFirst(childBuckets(data.buckets, bucket.id));
+
     return (
       <div className={`min-h-screen bg-stone-50 text-stone-900 flex flex-col items-center ${isNavigating ? `is-navigating navigation-${navigationDirection}` : ''}`}>
         <div className="w-full max-w-md min-h-screen flex flex-col relative px-4">
           <header className="pt-10 pb-4 flex items-center justify-between sticky top-0 bg-stone-50/90 backdrop-blur-md z-20">
-            <button onClick={() => setView('home')} className="p-2 -ml-2 rounded-full hover:bg-stone-200"><ArrowLeft size={24} /></button>
-            <h1 className="text-lg font-bold flex items-center gap-2"><span>{bucket.emoji}</span> {bucket.name}</h1>
+            <button onClick={() => (parent ? setActiveBucketId(parent.id) : setView('home'))} className="p-2 -ml-2 rounded-full hover:bg-stone-200" aria-label={parent ? `Back to ${parent.name}` : 'Back to spaces'}><ArrowLeft size={24} /></button>
+            {selecting ? (
+              <h1 className="text-lg font-bold">{selectedIds.length} selected</h1>
+            ) : (
+              <div className="min-w-0 flex-1 px-1">
+                {trail.length > 0 && (
+                  <nav aria-label="Breadcrumb" className="flex items-center gap-1 text-[11px] font-bold text-stone-400 truncate">
+                    <button onClick={() => setView('home')} className="hover:text-stone-700">Spaces</button>
+                    {trail.map(b => (
+                      <React.Fragment key={b.id}>
+                        <ChevronRight size={10} className="shrink-0" />
+                        <button onClick={() => setActiveBucketId(b.id)} className="hover:text-stone-700 truncate">{b.emoji} {b.name}</button>
+                      </React.Fragment>
+                    ))}
+                  </nav>
+                )}
+                <h1 className="text-lg font-bold flex items-center gap-2" style={bucket.color ? { color: spaceColor(bucket).accent } : undefined}><span>{bucket.emoji}</span> {bucket.name}</h1>
+              </div>
+            )}
             <div className="flex items-center gap-1 relative">
+              {selecting ? (
+                <>
+                  <button
+                    onClick={() => setSelection({ bucketId: bucket.id, ids: allSelected ? [] : selectable.map(i => i.id) })}
+                    className="px-3 py-2 rounded-full text-xs font-bold text-stone-500 hover:bg-stone-200"
+                  >
+                    {allSelected ? 'None' : 'All'}
+                  </button>
+                  <button onClick={() => setSelection(null)} className="p-2 rounded-full hover:bg-stone-200 text-stone-500" title="Done selecting"><X size={20} /></button>
+                </>
+              ) : (
+                <button onClick={() => setSelection({ bucketId: bucket.id, ids: [] })} className="p-2 rounded-full hover:bg-stone-200 text-stone-400" title="Select items">
+                  <CheckSquare size={20} />
+                </button>
+              )}
               <button onClick={() => toggleBucketDensity(bucket.id)} className="p-2 rounded-full hover:bg-stone-200 text-stone-400">
                 {isCompact ? <LayoutGrid size={20} /> : <List size={20} />}
               </button>
@@ -1045,12 +2983,51 @@ export default function App() {
 
               {showSettings && (
                 <div className="absolute top-full right-0 mt-2 w-56 bg-white rounded-2xl shadow-xl border border-stone-100 p-2 z-30 animate-in fade-in zoom-in-95 duration-100">
+                  <button
+                    onClick={() => openSpaceSettings(bucket.id)}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
+                  >
+                    <Palette size={18} /> Edit Space
+                  </button>
+                  <button
+                    onClick={() => togglePinned(bucket.id)}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
+                  >
+                    {bucket.pinned ? <><PinOff size={18} /> {parent ? 'Unpin' : 'Unpin from Home'}</> : <><Pin size={18} /> {parent ? `Pin in ${parent.name}` : 'Pin to Home'}</>}
+                  </button>
+                  <button
+                    onClick={() => { setShowSettings(false); setNewSpaceParentId(bucket.id); setModalMode('bucket'); }}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
+                  >
+                    <FolderPlus size={18} /> New Sub-space
+                  </button>
+                  <div className="h-px bg-stone-100 my-1" />
                   <button 
                     onClick={() => exportDecisionSnapshot(bucket.id)}
                     className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
                   >
                     <FileDown size={18} /> Decision Snapshot (HTML)
                   </button>
+                  {subSpaces.length > 0 && (
+                    <button
+                      onClick={() => exportDecisionSnapshot(bucket.id, { withNested: true })}
+                      className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
+                    >
+                      <FolderTree size={18} /> Snapshot with Sub-spaces
+                    </button>
+                  )}
+                  <button
+                    onClick={() => exportBucketMarkdown(bucket.id)}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
+                  >
+                    <FileText size={18} /> Export Markdown
+                  </button>
+                  <button
+                    onClick={() => openUrlImport(bucket.id)}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-bold text-stone-600 hover:bg-stone-50 transition-colors"
+                  >
+                    <ListPlus size={18} /> Import Link List
+                  </button>
                   <div className="h-px bg-stone-100 my-1" />
                   <button 
                     onClick={() => deleteBucket(bucket.id)}
@@ -1065,6 +3042,24 @@ export default function App() {
 
           {showSettings && <div className="fixed inset-0 z-20" onClick={() => setShowSettings(false)} />}
 
+          {/* While dragging a card: drop it on another space to move it (hold Alt/Ctrl to copy) */}
+          {(draggedItemId || itemReorder.drag) && data.buckets.length > 1 && (
+            <div className="fixed top-24 inset-x-4 mx-auto max-w-md z-30 flex gap-2 overflow-x-auto p-2 bg-white/90 backdrop-blur rounded-2xl shadow-lg border border-stone-100">
+              {data.buckets.filter(b => b.id !== bucket.id).map(b => (
+                <div
+                  key={b.id}
+                  data-drop-target={b.id}
+                  onDragOver={(e) => dragOverBucket(e, b.id)}
+                  onDragLeave={() => setDropBucketId(cur => (cur === b.id ? null : cur))}
+                  onDrop={(e) => dropItemOnBucket(e, b.id)}
+                  className={`shrink-0 px-3 py-2 rounded-xl text-sm font-bold whitespace-nowrap border-2 border-dashed transition-colors ${dropBucketId === b.id || itemReorder.drag?.overTarget === b.id ? 'border-stone-800 bg-stone-100 text-stone-900' : 'border-stone-200 text-stone-500'}`}
+                >
+                  {b.emoji} {b.name}
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Intent Header */}
           <div className="mb-8 px-2">
             <div
@@ -1094,8 +3089,82 @@ export default function App() {
                 />
               )}
             </div>
+            <div className="mt-2 flex items-center gap-2 text-xs text-stone-400">
+              <Hourglass size={12} />
+              <label htmlFor="cooling-off">Cooling-off</label>
+              <select
+                id="cooling-off"
+                value={bucket.coolingOffDays || 0}
+                onChange={(e) => setBucketCoolingOff(bucket.id, Number(e.target.value))}
+                className="bg-transparent font-bold text-stone-500 focus:outline-none"
+              >
+                {[...new Set([...COOLING_OFF_CHOICES, bucket.coolingOffDays || 0])].sort((a, b) => a - b).map(d => (
+                  <option key={d} value={d}>{d ? `${d} days` : 'None'}</option>
+                ))}
+              </select>
+              {!bucket.coolingOffDays && parseCoolingFromIntent(bucket.intent) && (
+                <button onClick={() => setBucketCoolingOff(bucket.id, parseCoolingFromIntent(bucket.intent))} className="font-bold text-sky-600 hover:underline">
+                  Enforce {parseCoolingFromIntent(bucket.intent)}-day wait?
+                </button>
+              )}
+            </div>
+            <div className="mt-1 flex items-center gap-2 text-xs text-stone-400">
+              <ArrowUpDown size={12} />
+              <select
+                aria-label="Sort items"
+                value={sortMode}
+                onChange={(e) => setBucketArrangement(bucket.id, { sortMode: e.target.value })}
+                className="bg-transparent font-bold text-stone-500 focus:outline-none"
+              >
+                {SORT_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+              </select>
+              <Layers size={12} className="ml-2" />
+              <select
+                aria-label="Group items"
+                value={groupBy}
+                onChange={(e) => setBucketArrangement(bucket.id, { groupBy: e.target.value })}
+                className="bg-transparent font-bold text-stone-500 focus:outline-none"
+              >
+                {GROUP_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+              </select>
+            </div>
           </div>
 
+          {subSpaces.length > 0 && (
+            <section className="mb-6 px-2">
+              <h2 className="text-xs font-bold uppercase tracking-widest text-stone-400 mb-3 flex items-center gap-1.5"><FolderTree size={12} /> Sub-spaces</h2>
+              <div className="flex gap-2 overflow-x-auto pb-1">
+                {subSpaces.map(sub => {
+                  const color = sub.color ? spaceColor(sub) : null;
+                  return (
+                    <button
+                      key={sub.id}
+                      onClick={() => setActiveBucketId(sub.id)}
+                      onDragOver={(e) => dragOverBucket(e, sub.id)}
+                      onDragLeave={() => setDropBucketId(cur => (cur === sub.id ? null : cur))}
+                      onDrop={(e) => dropItemOnBucket(e, sub.id)}
+                      style={color ? { backgroundColor: color.tint } : undefined}
+                      className={`shrink-0 flex items-center gap-2 bg-white rounded-2xl px-4 py-3 border shadow-sm active:scale-95 transition-all ${dropBucketId === sub.id ? 'border-stone-800 ring-2 ring-stone-800' : 'border-stone-100'}`}
+                    >
+                      <span className="text-xl">{sub.emoji}</span>
+                      <span className="font-bold text-sm text-stone-700 whitespace-nowrap">{sub.name}</span>
+                      {sub.pinned && <Pin size={10} className="text-stone-400" aria-label="Pinned" />}
+                      <span className="bg-stone-100 text-stone-400 px-2 py-0.5 rounded-full text-[10px] font-bold" style={color ? { color: color.accent } : undefined}>
+                        {rolledUpCount(data.buckets, data.items, sub.id)}
+                      </span>
+                    </button>
+                  );
+                })}
+                <button
+                  onClick={() => { setNewSpaceParentId(bucket.id); setModalMode('bucket'); }}
+                  className="shrink-0 flex items-center gap-1 rounded-2xl px-4 py-3 border-2 border-dashed border-stone-200 text-stone-300 text-xs font-bold uppercase tracking-widest hover:bg-stone-100 transition-colors"
+                >
+                  <Plus size={14} /> New
+                </button>
+              </div>
+            </section>
+          )}
+
           <div className={`flex-1 grid gap-3 content-start pb-20 ${isCompact ? 'grid-cols-2' : 'grid-cols-1'}`}>
             {activeItems.length === 0 && (
               <div className="flex flex-col items-center justify-center py-20 text-stone-300 space-y-4 text-center empty-state">
@@ -1103,49 +3172,71 @@ export default function App() {
                  <p className="small-meta empty-state-title">This space is ready.</p>
               </div>
             )}
-            {activeItems.map(item => (
+            {groups.map(group => (
+              <React.Fragment key={group.key}>
+              {group.label && (
+                <h2 className="col-span-full mt-2 px-2 text-xs font-bold uppercase tracking-widest text-stone-400 flex items-center gap-2">
+                  {group.label} <span className="text-stone-300">{group.items.length}</span>
+                </h2>
+              )}
+              {group.items.map(item => (
               <div
                 key={item.id}
-                draggable="true"
-                onDragStart={(e) => { setDraggedItemId(item.id); e.currentTarget.style.opacity = '0.5'; }}
-                onDragEnd={(e) => { setDraggedItemId(null); e.currentTarget.style.opacity = '1'; }}
+                {...(selecting ? {} : itemReorder.bind(item.id, { ids: displayedIds, onReorder: canReorder ? reorderItems : null, onDropTarget: sendItemToBucket }))}
+                draggable={!selecting && FINE_POINTER}
+                onDragStart={(e) => { setDraggedItemId(item.id); e.dataTransfer.setData(ITEM_DRAG_TYPE, item.id); e.currentTarget.style.opacity = '0.5'; }}
+                onDragEnd={(e) => { setDraggedItemId(null); setDropBucketId(null); e.currentTarget.style.opacity = '1'; }}
                 onDragOver={(e) => e.preventDefault()}
-                onDrop={(e) => { e.preventDefault(); if (draggedItemId) reorderItems(draggedItemId, item.id); }}
-                className={`transition-all ${draggedItemId === item.id ? 'scale-95' : ''}`}
+                onDrop={(e) => { e.preventDefault(); if (draggedItemId && canReorder) reorderItems(draggedItemId, item.id); }}
+                className={`relative transition-all ${draggedItemId === item.id ? 'scale-95' : ''} ${itemReorder.drag?.overId === item.id && itemReorder.drag.id !== item.id ? 'rounded-2xl ring-2 ring-stone-800 ring-offset-2' : ''}`}
               >
                 <button
                   onClick={() => { 
-                    updateItem(item.id, { visitCount: (item.visitCount || 0) + 1 });
+                    if (selecting) { toggleSelected(item.id); return; }
+                    updateItem(item.id, { visitCount: (item.visitCount || 0) + 1 }, { track: false });
                     setActiveItemId(item.id); 
                     setView('item'); 
                   }}
-                  className={`w-full bg-white rounded-2xl overflow-hidden shadow-sm border border-stone-100 active:scale-[0.98] transition-all text-left flex item-card ${isCompact ? 'flex-col' : 'flex-row h-24'}`}
+                  aria-pressed={selecting ? selectedIds.includes(item.id) : undefined}
+                  className={`w-full bg-white rounded-2xl overflow-hidden shadow-sm border active:scale-[0.98] transition-all text-left flex item-card ${isCompact ? 'flex-col' : 'flex-row h-24'} ${selectedIds.includes(item.id) ? 'border-stone-800 ring-2 ring-stone-800' : 'border-stone-100'}`}
                 >
                   <div 
                     className={`relative overflow-hidden shrink-0 flex items-center justify-center ${isCompact ? 'aspect-[4/3] w-full' : 'w-24 h-full'} ${item.image ? '' : 'no-image'}`}
                     style={{ background: item.image ? 'transparent' : generateGradient(item.url || item.title || item.domain) }}
                   >
-                    {item.image ? <img src={item.image} className="w-full h-full object-cover" alt="" /> : <span className="text-2xl font-black text-stone-900/10 uppercase">{getInitial(item.title)}</span>}
+                    {item.image ? <PreviewImage src={item.thumbnail} fallback={item.image} className="w-full h-full object-cover" /> : <span className="text-2xl font-black text-stone-900/10 uppercase">{getInitial(item.title)}</span>}
                     {/* metadata badges */}
                     <div className="absolute top-2 right-2 flex items-center gap-2">
                       {item.metaStatus === 'pending' && <span className="meta-dot" title="Enriching metadata" />}
                       {item.metaStatus === 'failed' && (
                         <div className="meta-failed" title={`Metadata failed (${item.metaAttempts || 0})`}>
-                          <button onClick={(e) => { e.stopPropagation(); updateItem(item.id, { metaStatus: 'pending', metaAttempts: (item.metaAttempts || 0) + 1 }); enrichUrlMetadata(item.id, item.url); }} className="p-1 text-red-500 hover:text-red-700">↻</button>
+                          <button onClick={(e) => { e.stopPropagation(); retryEnrichment([item.id]); }} className="p-1 text-red-500 hover:text-red-700">↻</button>
                         </div>
                       )}
                       {item.enrichFlash && <span className="enrich-flash" />}
                     </div>
+                    <CoolingBadge item={item} bucket={bucket} />
                   </div>
                   <div className={`p-3 flex flex-col justify-center min-w-0 ${isCompact ? '' : 'flex-1'}`}>
                     <h3 className={`font-bold text-stone-800 leading-tight truncate ${isCompact ? 'text-sm' : 'text-base'}`}>{item.title}</h3>
                     <p className="text-[10px] text-stone-400 font-bold uppercase mt-1 flex items-center gap-1">
                       {item.url ? <img src={getFavicon(item.url)} className="w-3 h-3 rounded-sm" /> : <Camera size={10} />}
                       <span className="truncate">{item.domain}</span>
+                      {item.contentType && <span className="shrink-0 bg-stone-100 text-stone-500 rounded px-1 py-px">{item.contentType}</span>}
+                      {item.article && <span className="shrink-0 normal-case">{item.article.readingMinutes} min{item.readingProgress ? ` · ${Math.round(item.readingProgress * 100)}%` : ''}</span>}
                     </p>
+                    {!isCompact && item.description && <p className="text-xs text-stone-500 leading-snug mt-1 line-clamp-1">{item.description}</p>}
+                    <PriceTag item={item} className="text-xs font-bold text-stone-700 mt-1" />
                   </div>
                 </button>
+                {selecting && (
+                  <span className="absolute top-2 left-2 z-10 pointer-events-none bg-white rounded-full shadow">
+                    {selectedIds.includes(item.id) ? <CheckCircle2 size={22} className="text-stone-800" /> : <Circle size={22} className="text-stone-300" />}
+                  </span>
+                )}
               </div>
+              ))}
+              </React.Fragment>
             ))}
 
             {/* Local Archive Toggle */}
@@ -1162,10 +3253,11 @@ export default function App() {
                 {showArchive && (
                   <div className="mt-4 space-y-2 opacity-60">
                     {archivedItems.map(item => (
-                      <div key={item.id} className="bg-stone-100 rounded-xl p-3 flex items-center justify-between gap-3">
-                        <div className="flex items-center gap-3 min-w-0">
+                      <div key={item.id} className={`bg-stone-100 rounded-xl p-3 flex items-center justify-between gap-3 ${selectedIds.includes(item.id) ? 'ring-2 ring-stone-800' : ''}`}>
+                        <div className="flex items-center gap-3 min-w-0" onClick={selecting ? () => toggleSelected(item.id) : undefined}>
+                          {selecting && (selectedIds.includes(item.id) ? <CheckCircle2 size={18} className="shrink-0 text-stone-800" /> : <Circle size={18} className="shrink-0 text-stone-400" />)}
                           <div className="w-8 h-8 rounded-lg overflow-hidden shrink-0 bg-stone-200">
-                             {item.image && <img src={item.image} className="w-full h-full object-cover opacity-50 grayscale" alt="" />}
+                             {item.image && <PreviewImage src={item.thumbnail} fallback={item.image} className="w-full h-full object-cover opacity-50 grayscale" />}
                           </div>
                           <span className="text-sm font-medium text-stone-500 truncate">{item.title}</span>
                         </div>
@@ -1181,14 +3273,62 @@ export default function App() {
             )}
           </div>
 
-          {!modalMode && (
+          {selecting && (
+            <div className="fixed bottom-6 inset-x-4 z-30 mx-auto max-w-md bg-white rounded-2xl shadow-2xl border border-stone-100 p-3 space-y-2">
+              <div className="grid grid-cols-4 gap-2">
+                {selectedItems.some(i => !i.isArchived) ? (
+                  <button disabled={!selectedIds.length} onClick={() => runBulk(ids => bulkArchive(ids, true))} className="flex flex-col items-center gap-1 py-2 rounded-xl text-[11px] font-bold text-stone-600 hover:bg-stone-50 disabled:opacity-30">
+                    <Archive size={18} /> Archive
+                  </button>
+                ) : (
+                  <button disabled={!selectedIds.length} onClick={() => runBulk(ids => bulkArchive(ids, false))} className="flex flex-col items-center gap-1 py-2 rounded-xl text-[11px] font-bold text-stone-600 hover:bg-stone-50 disabled:opacity-30">
+                    <RotateCcw size={18} /> Restore
+                  </button>
+                )}
+                <button disabled={!selectedItems.some(i => i.url)} onClick={() => runBulk(refreshPreviews)} className="flex flex-col items-center gap-1 py-2 rounded-xl text-[11px] font-bold text-stone-600 hover:bg-stone-50 disabled:opacity-30">
+                  <RefreshCw size={18} /> Refresh
+                </button>
+                <button disabled={!selectedIds.length} onClick={() => runBulk(bulkDelete)} className="col-span-2 flex flex-col items-center gap-1 py-2 rounded-xl text-[11px] font-bold text-red-500 hover:bg-red-50 disabled:opacity-30">
+                  <Trash2 size={18} /> Move to trash
+                </button>
+              </div>
+              <div className="flex gap-2">
+                <select
+                  value=""
+                  disabled={!selectedIds.length}
+                  onChange={(e) => e.target.value && runBulk(ids => bulkSetStatus(ids, e.target.value))}
+                  className="flex-1 min-w-0 bg-stone-50 rounded-xl px-3 py-2 text-xs font-bold text-stone-600 border-none disabled:opacity-30"
+                >
+                  <option value="">Set status…</option>
+                  {['saved', 'shortlisted', 'rejected'].map(st => <option key={st} value={st}>{st}</option>)}
+                </select>
+                <select
+                  value=""
+                  disabled={!selectedIds.length}
+                  onChange={(e) => e.target.value && runBulk(ids => bulkMove(ids, e.target.value))}
+                  className="flex-1 min-w-0 bg-stone-50 rounded-xl px-3 py-2 text-xs font-bold text-stone-600 border-none disabled:opacity-30"
+                >
+                  <option value="">Move to…</option>
+                  {data.buckets.filter(b => b.id !== bucket.id).map(b => <option key={b.id} value={b.id}>{b.emoji} {b.name}</option>)}
+                </select>
+              </div>
+            </div>
+          )}
+          {!modalMode && !selecting && (
             <div className="fixed bottom-10 left-0 right-0 flex justify-center z-10 pointer-events-none">
               <button onClick={() => setModalMode('item')} className="pointer-events-auto bg-stone-900 text-stone-50 rounded-full px-8 py-4 shadow-xl flex items-center gap-2 active:scale-90 transition-transform ring-8 ring-stone-50/50 capture-button">
                 <Plus size={20} /> <span className="font-bold">Capture</span>
               </button>
             </div>
           )}
-          {modalMode === 'item' && <QuickCapture />}
+          {modalMode === 'item' && <QuickCapture {...quickCaptureProps} />}
+          {renderUrlImport()}
+          {renderSpaceSettings()}
+          {renderNewSpace()}
+          <Flash />
+          <EnrichProgress />
+          <UndoToast />
+          <StorageAlert />
         </div>
       </div>
     );
@@ -1197,6 +3337,8 @@ export default function App() {
   if (view === 'item') {
     const item = data.items.find(i => i.id === activeItemId);
     const showNudge = item?.visitCount >= 3 && !item?.notes;
+    const cooling = item ? coolingStatus(item, data.buckets.find(b => b.id === item.bucketId), now) : null;
+    const tagSuggestions = item ? suggestTags(collectTags(data.items), tagDraft, item.tags) : [];
 
     if (!item) return setView('bucket');
 
@@ -1218,7 +3360,7 @@ export default function App() {
             <div className="w-full relative bg-stone-50 flex items-center justify-center p-8 overflow-hidden">
                 <div className="absolute inset-0 opacity-10 blur-3xl scale-150" style={{ background: generateGradient(item.domain) }} />
                 {item.image ? (
-                   <img src={item.image} alt="" className="relative z-10 w-full rounded-2xl shadow-2xl max-h-[350px] object-contain" />
+                   <PreviewImage src={item.image} fallback={item.thumbnail} className="relative z-10 w-full rounded-2xl shadow-2xl max-h-[350px] object-contain" />
                 ) : (
                   <div className="relative z-10 h-48 w-full flex items-center justify-center text-stone-200">
                      <LinkIcon size={64} className="opacity-20" />
@@ -1228,10 +3370,22 @@ export default function App() {
 
             <div className="p-8 space-y-10">
               <div className="space-y-3">
-                <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Identify</label>
+                <div className="flex justify-between items-center">
+                  <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Identify</label>
+                  {item.url && (
+                    <button
+                      onClick={() => refreshPreviews([item.id])}
+                      disabled={item.metaStatus === 'pending'}
+                      title={item.userEditedTitle || item.userEditedImage ? 'Your own title and image are kept' : 'Fetch title, image and details again'}
+                      className="flex items-center gap-1 text-[10px] font-bold text-stone-400 hover:text-stone-700 disabled:opacity-50"
+                    >
+                      <RefreshCw size={12} className={item.metaStatus === 'pending' ? 'animate-spin' : ''} /> Refresh preview
+                    </button>
+                  )}
+                </div>
                 <input 
                   value={item.title}
-                  onChange={(e) => updateItem(item.id, { title: e.target.value, userEditedTitle: true })}
+                  onChange={(e) => updateItem(item.id, { title: e.target.value, userEditedTitle: true }, { label: 'Edit title' })}
                   autoFocus={item.title === 'Untitled link' || !item.title || item.title.length < 3}
                   className="w-full text-2xl font-bold text-stone-800 bg-transparent border-none p-0 focus:ring-0 placeholder-stone-200"
                   placeholder="The Name"
@@ -1241,15 +3395,58 @@ export default function App() {
                       <ExternalLink size={14} /> {item.domain}
                    </a>
                  )}
+                 {item.description && <p className="text-sm text-stone-500 leading-relaxed">{item.description}</p>}
+                 {(item.contentType || item.author || item.publishedAt) && (
+                   <p className="text-[11px] text-stone-400 font-bold flex flex-wrap gap-x-2">
+                     {item.contentType && <span className="uppercase">{item.contentType}</span>}
+                     {item.author && <span>by {item.author}</span>}
+                     {item.publishedAt && !Number.isNaN(Date.parse(item.publishedAt)) && <span>{new Date(item.publishedAt).toLocaleDateString()}</span>}
+                   </p>
+                 )}
               </div>
 
+              {item.url && (
+                <div className="space-y-3">
+                  <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Reader</label>
+                  {item.article ? (
+                    <>
+                      <button onClick={() => openReader(item.id)} className="w-full flex items-center gap-3 p-4 rounded-2xl bg-stone-50 hover:bg-stone-100 text-left">
+                        <BookOpen size={20} className="text-stone-400 shrink-0" />
+                        <span className="flex-1 min-w-0">
+                          <span className="block text-sm font-bold text-stone-700">{item.readingProgress >= 1 ? 'Read again' : item.readingProgress ? 'Continue reading' : 'Read offline copy'}</span>
+                          <span className="block text-xs text-stone-400">{item.article.readingMinutes} min read · {item.article.wordCount.toLocaleString()} words · saved {new Date(item.article.savedAt).toLocaleDateString()}</span>
+                        </span>
+                        {item.readingProgress > 0 && <span className="text-xs font-bold text-stone-500">{Math.round(item.readingProgress * 100)}%</span>}
+                      </button>
+                      <div className="h-1 rounded-full bg-stone-100 overflow-hidden">
+                        <div className="h-full bg-stone-400" style={{ width: `${Math.round((item.readingProgress || 0) * 100)}%` }} />
+                      </div>
+                      <button onClick={() => saveOfflineCopy(item.id)} disabled={savingArticleId === item.id} className="text-xs font-bold text-stone-400 hover:text-stone-600 flex items-center gap-1">
+                        <RefreshCw size={12} className={savingArticleId === item.id ? 'animate-spin' : ''} /> Update offline copy
+                      </button>
+                    </>
+                  ) : (
+                    <Button variant="secondary" onClick={() => openReader(item.id)} disabled={savingArticleId === item.id} className="w-full text-sm">
+                      <BookOpen size={16} /> {savingArticleId === item.id ? 'Extracting article...' : 'Save & read offline'}
+                    </Button>
+                  )}
+                </div>
+              )}
+
               <div className="space-y-4">
-                 <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Decision Status</label>
+                 <div className="flex justify-between items-center">
+                   <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Decision Status</label>
+                   {cooling && (
+                     <span className={`flex items-center gap-1 text-[10px] font-bold ${cooling.cooling ? 'text-sky-600' : 'text-green-600'}`}>
+                       {cooling.cooling ? <><Hourglass size={12} /> Cooling off · {formatRemaining(cooling.remainingMs)}</> : <><Sprout size={12} /> Ready to decide</>}
+                     </span>
+                   )}
+                 </div>
                  <div className="flex gap-2">
                     {['saved', 'shortlisted', 'rejected'].map(status => (
                       <button
                         key={status}
-                        onClick={() => updateItem(item.id, { status })}
+                        onClick={() => setCoolingPrompt(setItemStatus(item.id, status) ? null : { itemId: item.id, status })}
                         className={`flex-1 py-3 rounded-2xl text-xs font-bold transition-all border ${
                           item.status === status ? 'bg-stone-900 border-stone-900 text-white shadow-lg scale-105' : 'bg-white border-stone-100 text-stone-400'
                         }`}
@@ -1258,6 +3455,160 @@ export default function App() {
                       </button>
                     ))}
                  </div>
+                 {coolingPrompt?.itemId === item.id && cooling?.cooling && (
+                   <div className="bg-sky-50 border border-sky-100 rounded-2xl p-4 space-y-3">
+                     <p className="text-sm text-sky-800">
+                       This space asks you to wait {data.buckets.find(b => b.id === item.bucketId)?.coolingOffDays} days. {formatRemaining(cooling.remainingMs)} — still want to mark it {coolingPrompt.status}?
+                     </p>
+                     <div className="flex gap-2">
+                       <Button variant="ghost" className="flex-1 py-2 text-sm" onClick={() => setCoolingPrompt(null)}>Keep waiting</Button>
+                       <Button
+                         className="flex-1 py-2 text-sm"
+                         onClick={() => { setItemStatus(item.id, coolingPrompt.status, { override: true }); setCoolingPrompt(null); }}
+                       >
+                         Override
+                       </Button>
+                     </div>
+                     <p className="text-[10px] text-sky-600">Overrides are noted in the Thought Log.</p>
+                   </div>
+                 )}
+              </div>
+
+              <div className="space-y-4">
+                <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Tags</label>
+                <div className="flex flex-wrap gap-2">
+                  {(item.tags || []).map(t => (
+                    <span key={t} className="inline-flex items-center gap-1 bg-stone-100 text-stone-700 rounded-full pl-3 pr-1 py-1 text-xs font-bold">
+                      <button onClick={() => openTag(t)} className="hover:underline">#{t}</button>
+                      <button onClick={() => removeItemTag(item.id, t)} className="p-0.5 rounded-full text-stone-400 hover:text-stone-800" title={`Remove ${t}`}><X size={12} /></button>
+                    </span>
+                  ))}
+                  <input
+                    value={tagDraft}
+                    onChange={(e) => setTagDraft(e.target.value)}
+                    onKeyDown={(e) => {
+                      if ((e.key === 'Enter' || e.key === ',') && tagDraft.trim()) {
+                        e.preventDefault();
+                        addItemTag(item.id, tagDraft);
+                        setTagDraft('');
+                      } else if (e.key === 'Backspace' && !tagDraft && item.tags?.length) {
+                        removeItemTag(item.id, item.tags[item.tags.length - 1]);
+                      }
+                    }}
+                    onBlur={() => { if (tagDraft.trim()) { addItemTag(item.id, tagDraft); setTagDraft(''); } }}
+                    className="flex-1 min-w-[8rem] bg-transparent text-sm px-2 py-1"
+                    placeholder="Add tag..."
+                  />
+                </div>
+                {tagSuggestions.length > 0 && (
+                  <div className="flex flex-wrap gap-1.5">
+                    {tagSuggestions.map(t => (
+                      <button
+                        key={t}
+                        // mousedown fires before the input's blur, so the suggestion wins over the draft
+                        onMouseDown={(e) => { e.preventDefault(); addItemTag(item.id, t); setTagDraft(''); }}
+                        className="text-[11px] font-bold text-stone-400 border border-dashed border-stone-200 rounded-full px-2 py-0.5 hover:text-stone-700"
+                      >
+                        + #{t}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {item.url && (
+                <div className="space-y-4">
+                  <div className="flex justify-between items-center">
+                    <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Price</label>
+                    <button
+                      onClick={() => refreshPrice(item.id)}
+                      disabled={checkingPriceId === item.id}
+                      className="flex items-center gap-1 text-[10px] font-bold text-stone-400 hover:text-stone-700 disabled:opacity-50"
+                    >
+                      <RefreshCw size={12} className={checkingPriceId === item.id ? 'animate-spin' : ''} /> Check price
+                    </button>
+                  </div>
+                  {item.price !== '' && item.price != null ? (
+                    <PriceTag item={item} className="text-2xl font-bold text-stone-800" />
+                  ) : (
+                    <p className="text-sm text-stone-400">No price found yet.</p>
+                  )}
+                  <form
+                    className="flex gap-2"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      if (setManualPrice(item.id, priceDraft.amount, priceDraft.currency || item.currency)) setPriceDraft({ amount: '', currency: '' });
+                      else setFlashMessage('Enter a price like 1299 or 49.99');
+                    }}
+                  >
+                    <input
+                      value={priceDraft.amount}
+                      onChange={(e) => setPriceDraft({ ...priceDraft, amount: e.target.value })}
+                      inputMode="decimal"
+                      className="flex-1 min-w-0 bg-stone-50 rounded-xl px-3 py-2 text-sm"
+                      placeholder="Enter price manually"
+                    />
+                    <input
+                      value={priceDraft.currency}
+                      onChange={(e) => setPriceDraft({ ...priceDraft, currency: e.target.value.toUpperCase().slice(0, 3) })}
+                      className="w-16 bg-stone-50 rounded-xl px-3 py-2 text-sm uppercase"
+                      placeholder={item.currency || 'USD'}
+                    />
+                    <button type="submit" disabled={!priceDraft.amount.trim()} className="px-3 rounded-xl bg-stone-900 text-white text-xs font-bold disabled:opacity-30">Save</button>
+                  </form>
+                  {(item.priceHistory || []).length > 1 && (
+                    <ul className="space-y-1">
+                      {item.priceHistory.slice(-6).reverse().map(entry => (
+                        <li key={entry.at} className="flex justify-between text-xs text-stone-500">
+                          <span>{new Date(entry.at).toLocaleDateString()}{entry.source === 'manual' ? ' · manual' : ''}</span>
+                          <span className="font-bold text-stone-600">{formatPrice(entry.amount, entry.currency)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
+              <div className="space-y-4">
+                <label className="text-[10px] font-black text-stone-300 uppercase tracking-widest">Space</label>
+                <div className="flex gap-2">
+                  <select
+                    value=""
+                    onChange={(e) => {
+                      const target = data.buckets.find(b => b.id === e.target.value);
+                      if (!target) return;
+                      moveItem(item.id, target.id);
+                      setActiveBucketId(target.id);
+                      setFlashMessage(`Moved to ${target.name}`);
+                    }}
+                    className="flex-1 min-w-0 bg-stone-50 rounded-xl px-3 py-3 text-sm font-bold text-stone-600 border-none"
+                  >
+                    <option value="">Move to…</option>
+                    {data.buckets.filter(b => b.id !== item.bucketId).map(b => <option key={b.id} value={b.id}>{b.emoji} {b.name}</option>)}
+                  </select>
+                  <select
+                    value=""
+                    onChange={(e) => {
+                      const target = data.buckets.find(b => b.id === e.target.value);
+                      if (!target) return;
+                      copyItems([item.id], target.id);
+                      setFlashMessage(`Copied to ${target.name}`);
+                    }}
+                    className="flex-1 min-w-0 bg-stone-50 rounded-xl px-3 py-3 text-sm font-bold text-stone-600 border-none"
+                  >
+                    <option value="">Copy to…</option>
+                    {data.buckets.map(b => <option key={b.id} value={b.id}>{b.emoji} {b.name}</option>)}
+                  </select>
+                </div>
+                {(item.history || []).length > 0 && (
+                  <ul className="space-y-1 text-xs text-stone-400">
+                    {item.history.slice().reverse().map(h => (
+                      <li key={`${h.action}-${h.at}`}>
+                        {h.action === 'copied' ? 'Copied' : 'Moved'} from {h.fromBucketName || 'a deleted space'} to {h.toBucketName || 'a deleted space'} · {new Date(h.at).toLocaleDateString()}
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
 
               <div className="space-y-4">
@@ -1268,7 +3619,7 @@ export default function App() {
                 <div className="relative">
                   <textarea 
                     value={item.notes}
-                    onChange={(e) => updateItem(item.id, { notes: e.target.value })}
+                    onChange={(e) => updateItem(item.id, { notes: e.target.value }, { label: 'Edit notes' })}
                     className={`w-full bg-stone-50 rounded-2xl px-5 py-5 text-stone-800 min-h-[160px] resize-none focus:ring-2 focus:ring-stone-100 transition-all leading-relaxed ${showNudge && !item.notes ? 'border-2 border-amber-100' : 'border-none'}`}
                     placeholder={showNudge ? "You've looked at this 3 times now... why did you save it? What's the goal?" : "Jot down context..."}
                   />
@@ -1278,7 +3629,28 @@ export default function App() {
             </div>
           </div>
         </div>
+        {readerArticle?.id === item.id && (
+          <div className="fixed inset-0 z-40 flex justify-center bg-stone-900/20">
+            <div className="w-full max-w-md bg-white flex flex-col shadow-2xl">
+              <header className="p-4 flex items-center gap-3 border-b border-stone-100">
+                <button onClick={closeReader} className="p-2 rounded-full hover:bg-stone-100"><ArrowLeft size={22} /></button>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-bold text-stone-800 truncate">{readerArticle.title}</p>
+                  <p className="text-[11px] text-stone-400 truncate">{[readerArticle.byline, `${readerArticle.readingMinutes} min read`].filter(Boolean).join(' · ')}</p>
+                </div>
+                <a href={readerArticle.url} target="_blank" rel="noreferrer" className="p-2 rounded-full hover:bg-stone-100 text-stone-400" title="Open original"><ExternalLink size={18} /></a>
+              </header>
+              <div ref={readerScrollRef} onScroll={() => trackReading(item.id)} className="flex-1 overflow-y-auto px-6 py-8">
+                <h1 className="text-2xl font-bold text-stone-900 leading-tight mb-6">{readerArticle.title}</h1>
+                {/* sanitized by sanitizeArticleHtml before it was stored */}
+                <div className="reader-content" dangerouslySetInnerHTML={{ __html: readerArticle.html }} />
+              </div>
+            </div>
+          </div>
+        )}
         <Flash />
+        <EnrichProgress />
+        <StorageAlert />
       </div>
     );
   }
@@ -0,0 +1,169 @@
+// --- BACKUP (lossless library export / import) ---
+//
+// A backup is a single JSON file holding every bucket and item exactly as
+// stored, plus each pasted image as a base64 data URL keyed by its imageId and
+// each offline reader copy keyed by its item id.
+
+import { getImageBlob, dataUrlToBlob, blobToDataUrl, getArticle } from './storage.js';
+import { findDuplicate } from './url.js';
+
+export const BACKUP_FORMAT = 'captureit-backup';
+export const BACKUP_VERSION = 1;
+
+// Fields that only make sense for the running session.
+const TRANSIENT_ITEM_FIELDS = ['enrichFlash'];
+
+const cleanItem = (item) => {
+  const out = { ...item };
+  TRANSIENT_ITEM_FIELDS.forEach(f => delete out[f]);
+  // object URLs die with the page; the image travels in `images` instead
+  if (out.imageId) delete out.image;
+  return out;
+};
+
+export const buildBackup = async (data, { loadImage = getImageBlob, loadArticle = getArticle } = {}) => {
+  // the trash is device-local recovery, not library content
+  const { buckets, items, trash: _TRASH, ...state } = data;
+  const images = {};
+  for (const imageId of new Set(items.map(i => i.imageId).filter(Boolean))) {
+    const blob = await loadImage(imageId);
+    if (blob) images[imageId] = await blobToDataUrl(blob);
+  }
+  const articles = {};
+  for (const item of items.filter(i => i.article)) {
+    const stored = await loadArticle(item.id);
+    if (stored) {
+      const { id: _ID, ...article } = stored;
+      articles[item.id] = article;
+    }
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    state,
+    buckets,
+    items: items.map(cleanItem),
+    images,
+    articles,
+  };
+};
+
+export class BackupFormatError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'BackupFormatError';
+  }
+}
+
+export const parseBackup = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new BackupFormatError('This file is not valid JSON.', { cause: e });
+  }
+  if (!parsed || parsed.format !== BACKUP_FORMAT) throw new BackupFormatError('This file is not a Captureit backup.');
+  if (parsed.version > BACKUP_VERSION) throw new BackupFormatError('This backup was made by a newer version of the app.');
+  if (!Array.isArray(parsed.buckets) || !Array.isArray(parsed.items)) throw new BackupFormatError('This backup is missing its buckets or items.');
+  // backups from before offline copies have no `articles`
+  return { state: {}, images: {}, articles: {}, ...parsed };
+};
+
+// Conflict strategies when an incoming item matches an existing one by id or by
+// link (urlKey, as for captures: tracking params, www. and trailing slashes aside).
+export const CONFLICT_STRATEGIES = {
+  keep: 'Keep my copy',
+  overwrite: 'Use the backup',
+  duplicate: 'Keep both',
+};
+
+// Combine a parsed backup with the current library.
+// mode 'replace' discards the current library; mode 'merge' folds the backup in.
+// Returns the next data plus the images and articles that still need to be written
+// and a summary.
+export const applyBackup = (current, backup, { mode = 'merge', conflict = 'keep', generateId }) => {
+  // Imported images always get fresh ids so they can never clobber a stored blob
+  const imageIds = new Map();
+  const images = [];
+  Object.entries(backup.images).forEach(([oldId, dataUrl]) => {
+    const newId = `img_${generateId()}`;
+    imageIds.set(oldId, newId);
+    images.push({ imageId: newId, blob: dataUrlToBlob(dataUrl) });
+  });
+  const remapImage = (item) => {
+    const { imageId, ...rest } = item;
+    return imageId && imageIds.has(imageId) ? { ...rest, imageId: imageIds.get(imageId) } : rest;
+  };
+  // Offline copies follow their item to its final id. An item whose copy is not
+  // in the file drops its `article` stamp so it gets extracted again.
+  const articles = [];
+  const withArticle = (item, sourceId) => {
+    if (!item.article) return item;
+    const copy = backup.articles[sourceId];
+    if (!copy) {
+      const { article: _ARTICLE, ...rest } = item;
+      return rest;
+    }
+    articles.push({ itemId: item.id, article: copy });
+    return item;
+  };
+
+  if (mode === 'replace') {
+    return {
+      data: { ...backup.state, buckets: backup.buckets, items: backup.items.map(i => withArticle(remapImage(i), i.id)), trash: current.trash || [] },
+      images,
+      articles,
+      summary: { buckets: backup.buckets.length, added: backup.items.length, updated: 0, skipped: 0 },
+    };
+  }
+
+  // Buckets match by id, then by name among the existing spaces with the same
+  // parent (so "Gear › Cameras" and "Travel › Cameras" stay apart). Parents are
+  // matched first, so a sub-space compares against its parent's mapped id.
+  const byId = new Map(backup.buckets.map(b => [b.id, b]));
+  const bucketIds = new Map();
+  const added = new Set();
+  const sameName = (a, b) => a.name.trim().toLowerCase() === b.name.trim().toLowerCase();
+  const mappedParent = (b) => (b.parentId ? bucketIds.get(b.parentId) || b.parentId : null);
+  const resolve = (b) => {
+    if (bucketIds.has(b.id)) return;
+    // placeholder, so a parentId cycle in the file ends here
+    bucketIds.set(b.id, b.id);
+    if (b.parentId && byId.has(b.parentId)) resolve(byId.get(b.parentId));
+    const parentId = mappedParent(b);
+    const match = current.buckets.find(x => x.id === b.id)
+      || current.buckets.find(x => (x.parentId || null) === parentId && sameName(x, b));
+    if (match) bucketIds.set(b.id, match.id);
+    else added.add(b.id);
+  };
+  backup.buckets.forEach(resolve);
+  const buckets = [
+    ...current.buckets,
+    ...backup.buckets.filter(b => added.has(b.id)).map(b => ({ ...b, parentId: mappedParent(b) })),
+  ];
+
+  const items = [...current.items];
+  const summary = { buckets: buckets.length - current.buckets.length, added: 0, updated: 0, skipped: 0 };
+  backup.items.forEach(raw => {
+    const incoming = { ...remapImage(raw), bucketId: bucketIds.get(raw.bucketId) || raw.bucketId };
+    const byId = items.findIndex(i => i.id === incoming.id);
+    const idx = byId !== -1 || !incoming.url ? byId : items.indexOf(findDuplicate(items, incoming.url));
+    if (idx === -1) {
+      items.push(withArticle(incoming, raw.id));
+      summary.added++;
+    } else if (conflict === 'overwrite') {
+      items[idx] = withArticle({ ...incoming, id: items[idx].id }, raw.id);
+      summary.updated++;
+    } else if (conflict === 'duplicate') {
+      items.push(withArticle({ ...incoming, id: items.some(i => i.id === incoming.id) ? generateId() : incoming.id }, raw.id));
+      summary.added++;
+    } else {
+      summary.skipped++;
+    }
+  });
+
+  // Skipped items leave their images behind
+  const used = new Set(items.map(i => i.imageId));
+  return { data: { ...current, buckets, items }, images: images.filter(img => used.has(img.imageId)), articles, summary };
+};
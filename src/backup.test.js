@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBackup, parseBackup, applyBackup } from './backup.js';
+
+const backupOf = (items, buckets = [{ id: 'b1', name: 'Reading' }]) => ({ state: {}, images: {}, buckets, items });
+
+let seq = 0;
+const generateId = () => `gen${++seq}`;
+
+test('merge matches an incoming link by urlKey, not only the exact string', () => {
+  const current = { buckets: [{ id: 'b1', name: 'Reading' }], items: [{ id: 'a', bucketId: 'b1', url: 'https://example.com/post', title: 'Mine' }] };
+  const backup = backupOf([{ id: 'x', bucketId: 'b1', url: 'http://www.example.com/post/?utm_source=feed', title: 'Theirs' }]);
+
+  const kept = applyBackup(current, backup, { conflict: 'keep', generateId });
+  assert.deepEqual(kept.summary, { buckets: 0, added: 0, updated: 0, skipped: 1 });
+  assert.equal(kept.data.items.length, 1);
+
+  const overwritten = applyBackup(current, backup, { conflict: 'overwrite', generateId });
+  assert.equal(overwritten.summary.updated, 1);
+  assert.deepEqual(overwritten.data.items.map(i => [i.id, i.title]), [['a', 'Theirs']]);
+});
+
+test('offline article copies survive an export and import round trip', async () => {
+  const stamp = { wordCount: 420, readingMinutes: 2, savedAt: 1700000000000 };
+  const library = {
+    buckets: [{ id: 'b1', name: 'Reading' }],
+    items: [
+      { id: 'a', bucketId: 'b1', url: 'https://example.com/saved', article: stamp },
+      { id: 'b', bucketId: 'b1', url: 'https://example.com/lost', article: stamp },
+    ],
+  };
+  const stored = { a: { id: 'a', url: 'https://example.com/saved', title: 'Saved', html: '<p>Body</p>', ...stamp } };
+  const file = JSON.stringify(await buildBackup(library, { loadArticle: async (id) => stored[id] || null }));
+  const backup = parseBackup(file);
+
+  const replaced = applyBackup({ buckets: [], items: [] }, backup, { mode: 'replace', generateId });
+  assert.deepEqual(replaced.articles, [{ itemId: 'a', article: { url: 'https://example.com/saved', title: 'Saved', html: '<p>Body</p>', ...stamp } }]);
+  // no copy in the file, so the item is extracted again rather than pointing at nothing
+  assert.equal(replaced.data.items.find(i => i.id === 'b').article, undefined);
+
+  // merge: a duplicate gets a new id and its copy follows it
+  const merged = applyBackup(library, backup, { conflict: 'duplicate', generateId });
+  const copies = merged.data.items.filter(i => i.url === 'https://example.com/saved');
+  assert.equal(copies.length, 2);
+  assert.deepEqual(merged.articles.map(a => a.itemId), [copies[1].id]);
+  assert.notEqual(copies[1].id, 'a');
+
+  // merge into a library that already has the item and keeps it: nothing to write
+  assert.deepEqual(applyBackup(library, backup, { conflict: 'keep', generateId }).articles, []);
+});
+
+test('older backups without articles import with their article stamps cleared', () => {
+  const backup = parseBackup(JSON.stringify({
+    format: 'captureit-backup', version: 1, buckets: [], items: [{ id: 'a', url: 'https://example.com/x', article: { wordCount: 1 } }], images: {},
+  }));
+  const { data, articles } = applyBackup({ buckets: [], items: [] }, backup, { conflict: 'keep', generateId });
+  assert.deepEqual(articles, []);
+  assert.equal(data.items[0].article, undefined);
+});
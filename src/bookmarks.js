@@ -0,0 +1,176 @@
+// --- BOOKMARK IMPORT ---
+//
+// Reads browser bookmark exports (the Netscape HTML format every browser
+// writes), Pocket's HTML and CSV exports, and a generic CSV with a header row
+// (url,title,notes,tags plus optional folder). Every parser returns entries:
+//   { url, title, notes, tags, folder, addedAt, archived }
+// `folder` is a ' / '-joined path (null at the top level) that the app maps to
+// a bucket of the same name.
+
+import { parseUserUrl, canonicalizeUrl, urlKey } from './url.js';
+
+export const BOOKMARK_FORMATS = { netscape: 'Browser bookmarks', pocket: 'Pocket export', csv: 'CSV' };
+
+const FOLDER_SEPARATOR = ' / ';
+
+// Browsers wrap everything in a root folder or two; those are not worth a bucket.
+const ROOT_FOLDERS = new Set(['bookmarks', 'bookmarks bar', 'bookmarks toolbar', 'bookmarks menu', 'favorites bar', 'favourites bar', 'other bookmarks', 'mobile bookmarks', 'favorites', 'menu', 'toolbar']);
+
+const httpUrl = (raw) => {
+  const parsed = parseUserUrl(raw);
+  return parsed && /^https?:$/.test(parsed.protocol) ? canonicalizeUrl(parsed.href) : null;
+};
+
+// Unix seconds (Netscape, Pocket) or anything Date can read.
+const parseDate = (value) => {
+  if (!value) return null;
+  const n = Number(value);
+  const ms = Number.isFinite(n) ? (n < 1e11 ? n * 1000 : n) : Date.parse(value);
+  return Number.isFinite(ms) && ms > 0 ? ms : null;
+};
+
+const splitTags = (value) => String(value || '')
+  .split(/[,|;]/)
+  .map(t => t.trim().replace(/^#/, '').toLowerCase())
+  .filter(Boolean);
+
+const entry = ({ url, title = '', notes = '', tags = [], folder = null, addedAt = null, archived = false }) => ({
+  url, title: title.replace(/\s+/g, ' ').trim(), notes: notes.trim(), tags: [...new Set(tags)], folder, addedAt, archived,
+});
+
+const folderPath = (names) => {
+  const path = names.map(n => n.trim()).filter(Boolean);
+  while (path.length && ROOT_FOLDERS.has(path[0].toLowerCase())) path.shift();
+  return path.length ? path.join(FOLDER_SEPARATOR) : null;
+};
+
+// Nested <DL> lists, each folder an <H3> right before its <DL>.
+export const parseNetscapeBookmarks = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return [...doc.querySelectorAll('a[href]')].map(a => {
+    const url = httpUrl(a.getAttribute('href'));
+    if (!url) return null;
+    const names = [];
+    for (let dl = a.closest('dl'); dl; dl = dl.parentElement?.closest('dl')) {
+      const heading = dl.previousElementSibling?.tagName === 'H3' ? dl.previousElementSibling : dl.parentElement?.querySelector(':scope > h3');
+      if (heading) names.unshift(heading.textContent);
+    }
+    const description = a.closest('dt')?.nextElementSibling;
+    return entry({
+      url,
+      title: a.textContent,
+      notes: description?.tagName === 'DD' ? description.textContent : '',
+      tags: splitTags(a.getAttribute('tags')),
+      folder: folderPath(names),
+      addedAt: parseDate(a.getAttribute('add_date')),
+    });
+  }).filter(Boolean);
+};
+
+// <h1>Unread</h1><ul><li><a href time_added tags>…</a></li></ul><h1>Read Archive</h1><ul>…
+export const parsePocketHtml = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return [...doc.querySelectorAll('ul a[href]')].map(a => {
+    const url = httpUrl(a.getAttribute('href'));
+    if (!url) return null;
+    let heading = a.closest('ul')?.previousElementSibling;
+    while (heading && !/^H\d$/.test(heading.tagName)) heading = heading.previousElementSibling;
+    return entry({
+      url,
+      title: a.textContent,
+      tags: splitTags(a.getAttribute('tags')),
+      addedAt: parseDate(a.getAttribute('time_added')),
+      archived: /archive/i.test(heading?.textContent || ''),
+    });
+  }).filter(Boolean);
+};
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and newlines.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim()));
+};
+
+const CSV_COLUMNS = {
+  url: ['url', 'link', 'href', 'address'],
+  title: ['title', 'name'],
+  notes: ['notes', 'note', 'description', 'excerpt', 'comment'],
+  tags: ['tags', 'tag', 'labels'],
+  folder: ['folder', 'bucket', 'space', 'collection', 'category'],
+  addedAt: ['time_added', 'added', 'created', 'created_at', 'date'],
+  status: ['status', 'state'],
+};
+
+// Columns are found by header name; without a recognizable header the order is url,title,notes,tags.
+export const parseBookmarkCsv = (text) => {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const hasHeader = header.some(h => CSV_COLUMNS.url.includes(h));
+  const index = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, names]) => [key, hasHeader ? header.findIndex(h => names.includes(h)) : -1]));
+  if (!hasHeader) Object.assign(index, { url: 0, title: 1, notes: 2, tags: 3 });
+  const cell = (row, key) => (index[key] >= 0 ? row[index[key]] || '' : '');
+  return rows.slice(hasHeader ? 1 : 0).map(row => {
+    const url = httpUrl(cell(row, 'url'));
+    if (!url) return null;
+    return entry({
+      url,
+      title: cell(row, 'title'),
+      notes: cell(row, 'notes'),
+      tags: splitTags(cell(row, 'tags')),
+      folder: folderPath(cell(row, 'folder').split('/')),
+      addedAt: parseDate(cell(row, 'addedAt')),
+      archived: /^(archive|archived|read)$/i.test(cell(row, 'status').trim()),
+    });
+  }).filter(Boolean);
+};
+
+export const detectBookmarkFormat = (text, fileName = '') => {
+  const head = String(text || '').slice(0, 2000);
+  if (/NETSCAPE-Bookmark-file/i.test(head) || /<dl>\s*<p>/i.test(head)) return 'netscape';
+  if (/<title>\s*Pocket Export/i.test(head) || /time_added=/i.test(head)) return 'pocket';
+  if (/\.csv$/i.test(fileName) || /^\uFEFF?[^\n<]*\b(url|link|href)\b[^\n]*,/i.test(head)) return 'csv';
+  if (/<a\s[^>]*href=/i.test(head)) return 'netscape';
+  return null;
+};
+
+const PARSERS = { netscape: parseNetscapeBookmarks, pocket: parsePocketHtml, csv: parseBookmarkCsv };
+
+// Parsed entries, deduplicated within the file (the first occurrence wins).
+export const parseBookmarkFile = (text, fileName) => {
+  const format = detectBookmarkFormat(text, fileName);
+  if (!format) throw new Error('Not a bookmark export this app can read');
+  const seen = new Set();
+  const entries = PARSERS[format](text).filter(e => {
+    const key = urlKey(e.url);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return { format, entries };
+};
+
+// Folder paths in order of first appearance, with how many entries each holds.
+export const folderCounts = (entries) => {
+  const counts = new Map();
+  entries.forEach(e => { if (e.folder) counts.set(e.folder, (counts.get(e.folder) || 0) + 1); });
+  return [...counts].map(([folder, count]) => ({ folder, count }));
+};
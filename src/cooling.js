@@ -0,0 +1,46 @@
+// --- COOLING-OFF ---
+//
+// A bucket may carry `coolingOffDays`: items added to it cannot be shortlisted
+// until that many days have passed, unless the user explicitly overrides.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const COOLING_OFF_CHOICES = [0, 3, 7, 14, 30, 60, 90];
+
+// "Buy only after 30 days of wanting" -> 30, "wait two weeks" -> 14
+export const parseCoolingFromIntent = (intent) => {
+  const words = { one: 1, a: 1, an: 1, two: 2, three: 3, four: 4, six: 6, ten: 10, thirty: 30 };
+  const m = String(intent || '').toLowerCase().match(/\b(\d+|one|an?|two|three|four|six|ten|thirty)\s*(day|week|month)s?\b/);
+  if (!m) return null;
+  const n = /^\d+$/.test(m[1]) ? parseInt(m[1], 10) : words[m[1]];
+  const days = n * (m[2] === 'week' ? 7 : m[2] === 'month' ? 30 : 1);
+  return days > 0 ? days : null;
+};
+
+// The clock starts when the item entered its current bucket.
+export const coolingStartedAt = (item) => item.bucketAddedAt || item.createdAt;
+
+// null when the bucket has no cooling-off rule; otherwise { endsAt, remainingMs, cooling }.
+export const coolingStatus = (item, bucket, now = Date.now()) => {
+  const days = bucket?.coolingOffDays;
+  if (!days) return null;
+  const endsAt = coolingStartedAt(item) + days * DAY;
+  const remainingMs = Math.max(0, endsAt - now);
+  return { endsAt, remainingMs, cooling: remainingMs > 0 };
+};
+
+// Undecided items whose waiting period is over.
+export const isRipe = (item, bucket, now = Date.now()) => {
+  const st = coolingStatus(item, bucket, now);
+  return !!st && !st.cooling && !item.isArchived && item.status === 'saved';
+};
+
+export const formatRemaining = (ms) => {
+  if (ms >= DAY) return `${Math.ceil(ms / DAY)}d left`;
+  const hours = Math.ceil(ms / (60 * 60 * 1000));
+  return hours > 1 ? `${hours}h left` : 'under 1h left';
+};
+
+// Line appended to the Thought Log when a cooling-off rule is skipped.
+export const overrideLogLine = (remainingMs, status, now = Date.now()) =>
+  `[${new Date(now).toLocaleDateString()}] Cooling-off overridden with ${formatRemaining(remainingMs).replace(' left', '')} to go; marked ${status}.`;
@@ -0,0 +1,105 @@
+// --- ENRICHMENT QUEUE ---
+//
+// Metadata fetches for new links go through one queue: a few at a time, never
+// two at once against the same host and spaced out per host, with failed
+// attempts retried later on an exponential backoff. The queue only lives in
+// memory; the job state that has to survive a reload is kept on the items
+// themselves (`metaStatus: 'pending'`, `metaAttempts`, `metaRetryAt`) and the
+// app queues pending items again on start.
+
+export const ENRICH_CONCURRENCY = 3;
+// Minimum time between two fetches for the same host.
+export const HOST_GAP_MS = 1500;
+// Attempts before an item is marked failed and waits for a manual retry.
+export const MAX_ENRICH_ATTEMPTS = 4;
+
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 10 * 60 * 1000;
+
+// Delay before attempt `attempts + 1`: 5s, 10s, 20s, … with ±25% jitter.
+export const backoffDelay = (attempts) =>
+  Math.round(Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1)) * (0.75 + Math.random() * 0.5));
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+};
+
+// `worker(job)` does the actual fetch; `onChange(stats)` hears about progress.
+// Jobs are { id, url, notBefore }; `add` resolves once that job has run.
+export const createEnrichQueue = ({ concurrency = ENRICH_CONCURRENCY, hostGapMs = HOST_GAP_MS } = {}) => {
+  let worker = null;
+  let onChange = () => {};
+  let waiting = [];
+  const running = new Map();
+  const lastStart = new Map();
+  let timer = null;
+  // progress since the queue was last idle
+  let total = 0;
+  let done = 0;
+
+  const stats = () => ({ queued: waiting.length, running: running.size, total, done });
+  const notify = () => onChange(stats());
+
+  const run = async (job) => {
+    running.set(job.id, job.host);
+    lastStart.set(job.host, Date.now());
+    notify();
+    try {
+      await worker(job);
+    } catch (err) {
+      console.warn('Enrichment job failed', err);
+    }
+    running.delete(job.id);
+    done += 1;
+    if (!waiting.length && !running.size) { total = 0; done = 0; }
+    job.waiters.forEach(resolve => resolve());
+    notify();
+    schedule();
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!worker) return;
+    const now = Date.now();
+    const busyHosts = new Set(running.values());
+    let wakeAt = Infinity;
+    for (const job of [...waiting]) {
+      if (running.size >= concurrency) break;
+      if (busyHosts.has(job.host)) continue;
+      const readyAt = Math.max(job.notBefore || 0, (lastStart.get(job.host) || 0) + hostGapMs);
+      if (readyAt > now) { wakeAt = Math.min(wakeAt, readyAt); continue; }
+      waiting = waiting.filter(j => j !== job);
+      busyHosts.add(job.host);
+      run(job);
+    }
+    if (wakeAt < Infinity) timer = setTimeout(schedule, wakeAt - now);
+  };
+
+  // Queuing an id that is already waiting updates it instead; `front` is for
+  // things the user is looking at (a fresh capture, a manual retry).
+  const add = ({ id, url, notBefore = 0 }, { front = false } = {}) => new Promise(resolve => {
+    const existing = waiting.find(j => j.id === id);
+    const job = existing || { id, waiters: [] };
+    Object.assign(job, { url, host: hostOf(url), notBefore });
+    job.waiters.push(resolve);
+    if (!existing) total += 1;
+    const rest = waiting.filter(j => j !== job);
+    waiting = front ? [job, ...rest] : existing ? waiting : [...rest, job];
+    notify();
+    schedule();
+  });
+
+  const configure = (options) => {
+    const starting = !worker && options.worker;
+    if (options.worker) worker = options.worker;
+    if (options.onChange) onChange = options.onChange;
+    if (starting) schedule();
+  };
+
+  return { add, configure, stats, has: (id) => running.has(id) || waiting.some(j => j.id === id) };
+};
@@ -0,0 +1,97 @@
+// --- MARKDOWN EXPORT / URL LIST IMPORT ---
+//
+// Export writes a readable Markdown document per bucket (or the whole
+// library): intent, then one list entry per item with its link, status, tags
+// and notes. Import goes the other way only for links: any Markdown or plain
+// text is scanned for URLs, keeping a Markdown link's text as the title.
+
+import { parseUserUrl, canonicalizeUrl, urlKey } from './url.js';
+
+const STATUS_LABELS = { shortlisted: 'Shortlisted', saved: 'Saved', rejected: 'Rejected' };
+
+// Inline text: characters that would turn into formatting or break a link label.
+const escapeText = (s) => String(s || '').replace(/[\\`*_[\]<>#|]/g, '\\$&').replace(/\s+/g, ' ').trim();
+
+// Parentheses and spaces would end a `(url)` early.
+const URL_ESCAPES = { '(': '%28', ')': '%29', ' ': '%20' };
+const escapeUrl = (url) => String(url).replace(/[()\s]/g, c => URL_ESCAPES[c] || encodeURIComponent(c));
+
+const itemEntry = (item) => {
+  const title = escapeText(item.title) || 'Untitled';
+  const head = item.url ? `[${title}](${escapeUrl(item.url)})` : title;
+  const meta = [
+    STATUS_LABELS[item.status] || STATUS_LABELS.saved,
+    item.domain && escapeText(item.domain),
+    item.price !== '' && item.price != null && `Price: ${escapeText(item.price)}`,
+    ...(item.tags || []).map(t => `#${escapeText(t)}`),
+  ].filter(Boolean).join(' · ');
+  const notes = String(item.notes || '').trim();
+  return [
+    `- **${head}**`,
+    `  ${meta}`,
+    ...(notes ? ['', ...notes.split('\n').map(line => `  > ${line}`.trimEnd())] : []),
+  ].join('\n');
+};
+
+const bucketSection = (bucket, items, level) => {
+  const h = '#'.repeat(level);
+  const active = items.filter(i => !i.isArchived);
+  const archived = items.filter(i => i.isArchived);
+  return [
+    `${h} ${bucket.emoji ? `${bucket.emoji} ` : ''}${escapeText(bucket.name)}`,
+    bucket.intent?.trim() ? bucket.intent.trim().split('\n').map(line => `> ${line}`.trimEnd()).join('\n') : null,
+    active.length ? active.map(itemEntry).join('\n\n') : '_No items yet._',
+    archived.length ? `${'#'.repeat(level + 1)} Archived\n\n${archived.map(itemEntry).join('\n\n')}` : null,
+  ].filter(Boolean).join('\n\n');
+};
+
+export const bucketToMarkdown = (bucket, items, now = Date.now()) => [
+  bucketSection(bucket, items, 1),
+  `_Exported ${new Date(now).toLocaleDateString()}_`,
+].join('\n\n') + '\n';
+
+export const libraryToMarkdown = (data, now = Date.now()) => [
+  '# Library',
+  `_Exported ${new Date(now).toLocaleDateString()} · ${data.buckets.length} spaces · ${data.items.length} items_`,
+  ...data.buckets.map(b => bucketSection(b, data.items.filter(i => i.bucketId === b.id), 2)),
+].join('\n\n') + '\n';
+
+const MD_LINK = /(!?)\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+const BARE_URL = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+// A whole line that is only a host and path ("example.com/page"), after any list marker.
+const BARE_HOST_LINE = /^[a-z\d-]+(\.[a-z\d-]+)+(:\d+)?(\/\S*)?$/i;
+const LIST_MARKER = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/;
+
+// Trailing punctuation that belongs to the sentence, not the URL (keeps balanced parens).
+const trimUrl = (url) => {
+  let out = url.replace(/[.,;:!?'"]+$/, '');
+  while (out.endsWith(')') && (out.match(/\(/g) || []).length < (out.match(/\)/g) || []).length) out = out.slice(0, -1);
+  return out;
+};
+
+// [{ url, title }] for every distinct http(s) link in the text, in order of appearance.
+export const parseUrlList = (text) => {
+  const found = [];
+  const seen = new Set();
+  const add = (raw, title = '') => {
+    const parsed = parseUserUrl(raw);
+    if (!parsed || !/^https?:$/.test(parsed.protocol) || !parsed.hostname.includes('.')) return;
+    const url = canonicalizeUrl(parsed.href);
+    const key = urlKey(url);
+    if (seen.has(key)) return;
+    seen.add(key);
+    found.push({ url, title: title.trim() });
+  };
+
+  String(text || '').split(/\r?\n/).forEach(line => {
+    let rest = line.replace(MD_LINK, (match, image, label, href) => {
+      if (!image) add(href, label.replace(/\\(.)/g, '$1'));
+      return ' ';
+    });
+    let matched = false;
+    rest = rest.replace(BARE_URL, (url) => { matched = true; add(trimUrl(url)); return ' '; });
+    const bare = line.replace(LIST_MARKER, '').trim();
+    if (!matched && rest === line && BARE_HOST_LINE.test(bare)) add(bare);
+  });
+  return found;
+};
@@ -0,0 +1,98 @@
+// --- METADATA CACHE ---
+//
+// Page metadata fetched for a link, kept in localStorage so capturing the same
+// link again (or re-enriching it) doesn't refetch it. Entries are keyed by
+// `urlKey`, expire after a TTL and the least recently used ones go first once
+// the cap is reached. Stored as:
+//   { [key]: { url, data, fetchedAt, usedAt } }
+// The in-memory copy is the source of truth while the app runs; reads only
+// bump `usedAt`, which is written back lazily.
+
+import { urlKey } from './url.js';
+
+export const META_CACHE_KEY = 'meta_cache_v2';
+// The old cache was keyed by raw URL and never expired; it is dropped, not migrated.
+const LEGACY_KEY = 'meta_cache_v1';
+
+const DAY = 24 * 60 * 60 * 1000;
+export const META_CACHE_TTL_MS = 14 * DAY;
+export const META_CACHE_MAX_ENTRIES = 400;
+
+const TOUCH_SAVE_DELAY_MS = 2000;
+
+let entries = null;
+let touchTimer = null;
+
+const load = () => {
+  if (entries) return entries;
+  try {
+    localStorage.removeItem(LEGACY_KEY);
+    entries = JSON.parse(localStorage.getItem(META_CACHE_KEY) || '{}') || {};
+  } catch {
+    entries = {};
+  }
+  return entries;
+};
+
+const byRecency = (a, b) => (b.usedAt || 0) - (a.usedAt || 0);
+
+// Keep the newest `max` entries; on a full localStorage keep halving until it fits.
+const save = (max = META_CACHE_MAX_ENTRIES) => {
+  clearTimeout(touchTimer);
+  touchTimer = null;
+  const keep = Object.entries(load()).sort(([, a], [, b]) => byRecency(a, b)).slice(0, max);
+  entries = Object.fromEntries(keep);
+  try {
+    localStorage.setItem(META_CACHE_KEY, JSON.stringify(entries));
+  } catch (err) {
+    if (max > 1) save(Math.floor(keep.length / 2));
+    else console.warn('Metadata cache could not be saved', err);
+  }
+};
+
+const keyOf = (url) => urlKey(url) || url;
+
+export const isExpired = (entry, now = Date.now()) => now - (entry.fetchedAt || 0) > META_CACHE_TTL_MS;
+
+// Cached metadata for a URL, or null when missing or expired.
+export const getCachedMetadata = (url, now = Date.now()) => {
+  const entry = load()[keyOf(url)];
+  if (!entry || isExpired(entry, now)) return null;
+  entry.usedAt = now;
+  if (!touchTimer) touchTimer = setTimeout(() => save(), TOUCH_SAVE_DELAY_MS);
+  return entry.data;
+};
+
+export const putCachedMetadata = (url, data, now = Date.now()) => {
+  load()[keyOf(url)] = { url, data, fetchedAt: now, usedAt: now };
+  save();
+};
+
+export const removeCachedMetadata = (urls) => {
+  const cache = load();
+  urls.forEach(url => { delete cache[keyOf(url)]; });
+  save();
+};
+
+export const clearExpiredMetadata = (now = Date.now()) => {
+  const cache = load();
+  const expired = Object.keys(cache).filter(key => isExpired(cache[key], now));
+  expired.forEach(key => { delete cache[key]; });
+  save();
+  return expired.length;
+};
+
+export const clearMetadataCache = () => {
+  entries = {};
+  save();
+};
+
+// For the settings screen: entries, most recently used first, and totals.
+export const inspectMetadataCache = (now = Date.now()) => {
+  const list = Object.values(load()).sort(byRecency).map(e => ({ ...e, expired: isExpired(e, now), expiresAt: (e.fetchedAt || 0) + META_CACHE_TTL_MS }));
+  return {
+    entries: list,
+    expired: list.filter(e => e.expired).length,
+    bytes: new Blob([JSON.stringify(load())]).size,
+  };
+};
@@ -0,0 +1,164 @@
+// --- PAGE METADATA ---
+//
+// Pure summarizer shared by the metadata proxy (cheerio) and the in-browser
+// fallback (DOMParser). Each side only collects the raw tags:
+//   { title, lang, meta: { [name|property]: content }, links: [{ rel, href, type }],
+//     jsonLd: [parsed blocks], itemprops: { [name]: value } }
+// and this module turns them into the fields the app stores on an item.
+
+import { pickPrice, priceFromJsonLd } from './price.js';
+
+export const CONTENT_TYPES = ['article', 'product', 'video', 'repo'];
+
+const asArray = (v) => (Array.isArray(v) ? v : v == null ? [] : [v]);
+
+const resolve = (href, base) => {
+  if (!href) return null;
+  try { return new URL(href, base).href; } catch { return null; }
+};
+
+const clean = (s) => {
+  const out = String(s ?? '').replace(/\s+/g, ' ').trim();
+  return out || null;
+};
+
+const typesOf = (node) => asArray(node?.['@type']).map(t => String(t).toLowerCase());
+
+const nameOf = (v) => clean(asArray(v).map(a => (typeof a === 'string' ? a : a?.name)).filter(Boolean).join(', '));
+
+// Flatten @graph / nested arrays into a list of typed nodes.
+const jsonLdNodes = (blocks) => {
+  const out = [];
+  const queue = [...asArray(blocks)];
+  while (queue.length) {
+    const node = queue.shift();
+    if (Array.isArray(node)) { queue.push(...node); continue; }
+    if (!node || typeof node !== 'object') continue;
+    if (node['@type']) out.push(node);
+    queue.push(...asArray(node['@graph']));
+  }
+  return out;
+};
+
+const JSON_LD_TYPES = {
+  article: ['article', 'newsarticle', 'blogposting', 'techarticle', 'scholarlyarticle', 'report'],
+  product: ['product', 'productgroup', 'offer'],
+  video: ['videoobject', 'movie', 'episode', 'tvepisode'],
+  repo: ['softwaresourcecode'],
+};
+
+// The most specific schema.org node on the page, reduced to the fields we keep.
+export const summarizeJsonLd = (blocks) => {
+  const nodes = jsonLdNodes(blocks);
+  const known = Object.values(JSON_LD_TYPES).flat();
+  const node = nodes.find(n => typesOf(n).some(t => known.includes(t))) || nodes.find(n => !typesOf(n).includes('website') && !typesOf(n).includes('breadcrumblist')) || null;
+  if (!node) return null;
+  const image = asArray(node.image)[0];
+  return {
+    type: asArray(node['@type'])[0] || null,
+    name: clean(node.name),
+    headline: clean(node.headline),
+    description: clean(node.description),
+    author: nameOf(node.author || node.creator),
+    datePublished: node.datePublished || node.uploadDate || null,
+    dateModified: node.dateModified || null,
+    image: typeof image === 'string' ? image : image?.url || null,
+    keywords: asArray(node.keywords).join(', ') || null,
+    brand: nameOf(node.brand),
+  };
+};
+
+const REPO_HOSTS = /^(github\.com|gitlab\.com|bitbucket\.org|codeberg\.org|sr\.ht|git\.sr\.ht)$/;
+const VIDEO_HOSTS = /(^|\.)(youtube\.com|youtu\.be|vimeo\.com|twitch\.tv|dailymotion\.com|loom\.com|tiktok\.com)$/;
+
+// article | product | video | repo | null
+export const inferContentType = ({ ogType, jsonLd, oembedType, pageUrl, hasPrice }) => {
+  let host = '';
+  let path = '';
+  try { ({ hostname: host, pathname: path } = new URL(pageUrl)); host = host.replace(/^www\./, ''); } catch { /* keep empty */ }
+
+  if (REPO_HOSTS.test(host) && path.split('/').filter(Boolean).length >= 2) return 'repo';
+  const ldType = jsonLd?.type ? String(jsonLd.type).toLowerCase() : '';
+  const fromLd = Object.keys(JSON_LD_TYPES).find(k => JSON_LD_TYPES[k].includes(ldType));
+  if (fromLd) return fromLd;
+  const og = String(ogType || '').toLowerCase();
+  if (og.startsWith('video')) return 'video';
+  if (og === 'product' || og.startsWith('product') || og === 'og:product') return 'product';
+  if (og === 'article' || og === 'blog' || og.startsWith('article')) return 'article';
+  if (oembedType === 'video' || VIDEO_HOSTS.test(host)) return 'video';
+  if (hasPrice) return 'product';
+  return null;
+};
+
+// rel attribute values are space-separated and case-insensitive
+const findLink = (links, rel, type) => links.find(l => String(l.rel || '').toLowerCase().split(/\s+/).includes(rel) && (!type || String(l.type || '').toLowerCase() === type));
+
+export const summarizeMetadata = ({ title, lang, meta = {}, links = [], jsonLd = [], itemprops = {} }, pageUrl) => {
+  const m = (...keys) => keys.map(k => clean(meta[k])).find(Boolean) || null;
+  const ld = summarizeJsonLd(jsonLd);
+
+  const price = pickPrice([
+    { amount: m('product:price:amount', 'og:price:amount'), currency: m('product:price:currency', 'og:price:currency') },
+    priceFromJsonLd(jsonLd),
+    itemprops.price && { amount: itemprops.price, currency: itemprops.priceCurrency },
+  ]);
+
+  const icon = findLink(links, 'icon') || findLink(links, 'shortcut') || findLink(links, 'apple-touch-icon');
+  let origin = null;
+  try { origin = new URL(pageUrl).origin; } catch { /* invalid page url */ }
+
+  const oembed = findLink(links, 'alternate', 'application/json+oembed');
+
+  return {
+    title: m('og:title', 'twitter:title') || ld?.headline || ld?.name || clean(title),
+    description: m('og:description', 'twitter:description', 'description') || ld?.description || null,
+    canonicalUrl: resolve(findLink(links, 'canonical')?.href, pageUrl) || resolve(m('og:url'), pageUrl),
+    author: m('author', 'article:author', 'twitter:creator') || ld?.author || null,
+    publishedAt: m('article:published_time', 'og:published_time', 'datepublished', 'date') || ld?.datePublished || itemprops.datePublished || null,
+    siteName: m('og:site_name', 'application-name') || null,
+    favicon: resolve(icon?.href, pageUrl) || (origin ? `${origin}/favicon.ico` : null),
+    language: clean(lang) || m('og:locale', 'content-language') || null,
+    imageCandidates: [m('og:image', 'og:image:url', 'og:image:secure_url'), m('twitter:image', 'twitter:image:src'), findLink(links, 'image_src')?.href, ld?.image]
+      .filter(Boolean)
+      .map(src => resolve(src, pageUrl))
+      .filter(Boolean),
+    oembedUrl: resolve(oembed?.href, pageUrl),
+    contentType: inferContentType({ ogType: m('og:type'), jsonLd: ld, pageUrl, hasPrice: !!price }),
+    jsonLd: ld,
+    price,
+  };
+};
+
+// Raw tag collection from a browser Document; the proxy does the same with cheerio.
+export const collectFromDocument = (doc) => {
+  const meta = {};
+  doc.querySelectorAll('meta').forEach(el => {
+    const key = (el.getAttribute('property') || el.getAttribute('name') || el.getAttribute('itemprop') || el.getAttribute('http-equiv') || '').toLowerCase();
+    const content = el.getAttribute('content');
+    if (key && content && !(key in meta)) meta[key] = content;
+  });
+  const itemprops = {};
+  doc.querySelectorAll('[itemprop]').forEach(el => {
+    const key = el.getAttribute('itemprop');
+    if (!(key in itemprops)) itemprops[key] = el.getAttribute('content') || el.getAttribute('datetime') || el.textContent;
+  });
+  return {
+    title: doc.querySelector('title')?.textContent,
+    lang: doc.documentElement?.getAttribute('lang'),
+    meta,
+    links: Array.from(doc.querySelectorAll('link[rel]')).map(el => ({ rel: el.getAttribute('rel'), href: el.getAttribute('href'), type: el.getAttribute('type') })),
+    jsonLd: Array.from(doc.querySelectorAll('script[type="application/ld+json"]')).flatMap(s => {
+      try { return [JSON.parse(s.textContent)]; } catch { return []; }
+    }),
+    itemprops,
+  };
+};
+
+// Item fields taken from a metadata result (proxy JSON or browser summary).
+export const DETAIL_FIELDS = ['description', 'canonicalUrl', 'author', 'publishedAt', 'contentType', 'siteName', 'favicon', 'language', 'jsonLd', 'oembed'];
+
+export const pickDetails = (result) => {
+  const out = {};
+  DETAIL_FIELDS.forEach(f => { if (result?.[f] != null) out[f] = result[f]; });
+  return out;
+};
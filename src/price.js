@@ -0,0 +1,110 @@
+// --- PRICES ---
+//
+// Pure helpers shared by the app and the metadata proxy: no DOM or Node APIs
+// at module level. Items carry `price` (current amount or ''), `currency` and
+// `priceHistory: [{ amount, currency, at, source: 'page' | 'manual' }]`.
+
+// "1,299.00", "1.299,00", "$ 12", "₹1,23,456" -> number, or null
+export const parsePriceAmount = (raw) => {
+  if (typeof raw === 'number') return Number.isFinite(raw) && raw >= 0 ? raw : null;
+  let s = String(raw || '').replace(/[^\d.,]/g, '');
+  if (!s) return null;
+  const lastDot = s.lastIndexOf('.');
+  const lastComma = s.lastIndexOf(',');
+  if (lastDot !== -1 && lastComma !== -1) {
+    // whichever separator comes last is the decimal one
+    s = lastComma > lastDot ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    // a lone comma followed by one or two digits is a decimal comma ("12,5", "12,50");
+    // three digits ("1,299") is a thousands separator
+    s = /,\d{1,2}$/.test(s) && s.indexOf(',') === lastComma ? s.replace(',', '.') : s.replace(/,/g, '');
+  } else if (lastDot !== -1 && s.indexOf('.') !== lastDot) {
+    s = s.replace(/\./g, '');
+  }
+  const n = parseFloat(s);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY', '₩': 'KRW', '₽': 'RUB', '₺': 'TRY', 'R$': 'BRL' };
+
+export const normalizeCurrency = (raw) => {
+  const s = String(raw || '').trim();
+  if (/^[A-Za-z]{3}$/.test(s)) return s.toUpperCase();
+  return CURRENCY_SYMBOLS[s] || '';
+};
+
+// Guess a currency from a displayed price like "₹ 1,299"
+export const currencyFromText = (text) => {
+  const s = String(text || '');
+  const code = s.match(/\b([A-Z]{3})\b/);
+  if (code) return code[1];
+  const symbol = Object.keys(CURRENCY_SYMBOLS).sort((a, b) => b.length - a.length).find(sym => s.includes(sym));
+  return symbol ? CURRENCY_SYMBOLS[symbol] : '';
+};
+
+const asArray = (v) => (Array.isArray(v) ? v : v == null ? [] : [v]);
+
+const typeIs = (node, type) => asArray(node?.['@type']).some(t => String(t).toLowerCase() === type.toLowerCase());
+
+// Walk parsed JSON-LD blocks looking for a schema.org Offer / AggregateOffer.
+export const priceFromJsonLd = (blocks) => {
+  const queue = [...asArray(blocks)];
+  while (queue.length) {
+    const node = queue.shift();
+    if (!node || typeof node !== 'object') continue;
+    if (Array.isArray(node)) { queue.push(...node); continue; }
+    if (typeIs(node, 'Offer') || typeIs(node, 'AggregateOffer')) {
+      const amount = parsePriceAmount(node.price ?? node.lowPrice ?? node.priceSpecification?.price);
+      if (amount != null) {
+        return { amount, currency: normalizeCurrency(node.priceCurrency || node.priceSpecification?.priceCurrency) };
+      }
+    }
+    queue.push(...asArray(node['@graph']), ...asArray(node.offers), ...asArray(node.mainEntity));
+  }
+  return null;
+};
+
+// Pick the first usable price from the candidates a page exposes, in order of reliability.
+// Each candidate is { amount, currency } with raw (unparsed) values.
+export const pickPrice = (candidates) => {
+  for (const c of candidates) {
+    if (!c) continue;
+    const amount = parsePriceAmount(c.amount);
+    if (amount != null && amount > 0) return { amount, currency: normalizeCurrency(c.currency) || currencyFromText(c.amount) };
+  }
+  return null;
+};
+
+export const formatPrice = (amount, currency) => {
+  if (amount === '' || amount == null) return '';
+  try {
+    if (currency) return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch { /* unknown currency code */ }
+  return `${currency ? `${currency} ` : ''}${Number(amount).toLocaleString()}`;
+};
+
+// Item updates for a newly observed price; history only grows when the price actually moves.
+export const recordPrice = (item, { amount, currency }, source = 'page') => {
+  const history = item.priceHistory || [];
+  const last = history[history.length - 1];
+  const cur = currency || item.currency || '';
+  const entry = { amount, currency: cur, at: Date.now(), source };
+  const moved = !last || last.amount !== amount || last.currency !== cur;
+  return {
+    price: amount,
+    currency: cur,
+    priceCheckedAt: entry.at,
+    ...(moved ? { priceHistory: [...history, entry] } : {}),
+  };
+};
+
+// Difference between the last two recorded prices in the same currency, or null.
+export const priceChange = (item) => {
+  const history = item.priceHistory || [];
+  if (history.length < 2) return null;
+  const cur = history[history.length - 1];
+  const prev = history[history.length - 2];
+  if (cur.currency !== prev.currency || !prev.amount) return null;
+  const delta = cur.amount - prev.amount;
+  return { delta, percent: (delta / prev.amount) * 100, currency: cur.currency };
+};
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePriceAmount } from './price.js';
+
+test('parsePriceAmount reads thousands and decimal separators', () => {
+  assert.equal(parsePriceAmount('1,299.00'), 1299);
+  assert.equal(parsePriceAmount('1.299,00'), 1299);
+  assert.equal(parsePriceAmount('$ 12'), 12);
+  assert.equal(parsePriceAmount('₹1,23,456'), 123456);
+  assert.equal(parsePriceAmount('1,299'), 1299);
+  assert.equal(parsePriceAmount('1.299.000'), 1299000);
+});
+
+test('parsePriceAmount treats a trailing comma with one or two digits as decimal', () => {
+  assert.equal(parsePriceAmount('12,5'), 12.5);
+  assert.equal(parsePriceAmount('12,50 €'), 12.5);
+  assert.equal(parsePriceAmount('0,99'), 0.99);
+});
+
+test('parsePriceAmount rejects empty and negative input', () => {
+  assert.equal(parsePriceAmount(''), null);
+  assert.equal(parsePriceAmount('free'), null);
+  assert.equal(parsePriceAmount(-3), null);
+});
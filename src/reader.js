@@ -0,0 +1,67 @@
+// --- READER MODE ---
+//
+// Offline article copies. The proxy extracts the main content and reduces it
+// to the tags below; the app sanitizes again before storing (the proxy URL is
+// configurable, so its output is not trusted) and renders the result in the
+// item view's reader pane.
+
+// Everything else is unwrapped (its text kept) or, for the void/embedded kind, dropped.
+export const ARTICLE_TAGS = ['p', 'h2', 'h3', 'h4', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'em', 'strong', 'b', 'i', 'a', 'img', 'figure', 'figcaption', 'br', 'hr', 'table', 'thead', 'tbody', 'tr', 'th', 'td'];
+
+// Dropped together with their content.
+export const ARTICLE_DROP_TAGS = ['script', 'style', 'noscript', 'iframe', 'object', 'embed', 'form', 'button', 'input', 'select', 'textarea', 'svg', 'canvas', 'template'];
+
+const WORDS_PER_MINUTE = 230;
+
+export const countWords = (text) => (String(text || '').match(/\S+/g) || []).length;
+
+export const readingMinutes = (words) => Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+
+// Absolute http(s) URL or null; rejects javascript:, data: and friends.
+export const safeUrl = (href, base) => {
+  if (!href) return null;
+  try {
+    const u = new URL(href, base);
+    return /^https?:$/.test(u.protocol) ? u.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// Browser-side whitelist pass over article HTML (DOMParser, so never executes anything).
+export const sanitizeArticleHtml = (html, baseUrl) => {
+  const doc = new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html');
+  const out = doc.createElement('div');
+
+  const copy = (node, parent) => {
+    if (node.nodeType === 3) { parent.appendChild(doc.createTextNode(node.nodeValue)); return; }
+    if (node.nodeType !== 1) return;
+    const tag = node.tagName.toLowerCase();
+    if (ARTICLE_DROP_TAGS.includes(tag)) return;
+    if (!ARTICLE_TAGS.includes(tag)) { node.childNodes.forEach(child => copy(child, parent)); return; }
+
+    const el = doc.createElement(tag);
+    if (tag === 'a') {
+      const href = safeUrl(node.getAttribute('href'), baseUrl);
+      if (href) { el.setAttribute('href', href); el.setAttribute('target', '_blank'); el.setAttribute('rel', 'noopener noreferrer'); }
+    }
+    if (tag === 'img') {
+      const src = safeUrl(node.getAttribute('src'), baseUrl);
+      if (!src) return;
+      el.setAttribute('src', src);
+      el.setAttribute('alt', node.getAttribute('alt') || '');
+      el.setAttribute('loading', 'lazy');
+    }
+    node.childNodes.forEach(child => copy(child, el));
+    parent.appendChild(el);
+  };
+
+  doc.body.childNodes.forEach(child => copy(child, out));
+  return out.innerHTML;
+};
+
+// Fraction read (0..1) of a scroll container.
+export const scrollProgress = (el) => {
+  const max = el.scrollHeight - el.clientHeight;
+  return max > 0 ? Math.min(1, Math.max(0, el.scrollTop / max)) : 1;
+};
@@ -0,0 +1,161 @@
+// --- TOUCH & KEYBOARD REORDERING ---
+//
+// Native drag-and-drop never fires for touch input, so reorderable lists also
+// get long-press-and-drag on pointer events (touch and pen; a mouse keeps the
+// native `draggable` path) plus Alt+Arrow keys. Each list calls `useReorder()`
+// once and spreads `bind(id, options)` onto its elements:
+//   ids          the list in display order (for keyboard moves)
+//   onReorder    (draggedId, targetId), same meaning as a native drop on the target
+//   onDropTarget (draggedId, value) for elements marked `data-drop-target="value"`
+
+import { useEffect, useId, useRef, useState } from 'react';
+
+const LONG_PRESS_MS = 350;
+// Movement before the long press fires means the finger is scrolling.
+const MOVE_TOLERANCE = 8;
+// Distance from the viewport edge where auto-scroll kicks in, and its top speed per frame.
+const SCROLL_EDGE = 72;
+const SCROLL_SPEED = 18;
+
+const KEY_STEPS = { ArrowUp: -1, ArrowLeft: -1, ArrowDown: 1, ArrowRight: 1 };
+
+// Phones and tablets: leave `draggable` off there so the browser's own
+// long-press drag doesn't fight ours.
+export const FINE_POINTER = typeof window !== 'undefined' && !!window.matchMedia?.('(pointer: fine)').matches;
+
+const buzz = (ms) => { if (navigator.vibrate) navigator.vibrate(ms); };
+
+// The click that follows a drop must not open the card it was dropped from.
+const swallowNextClick = () => {
+  const swallow = (e) => { e.preventDefault(); e.stopPropagation(); };
+  window.addEventListener('click', swallow, { capture: true, once: true });
+  setTimeout(() => window.removeEventListener('click', swallow, { capture: true }), 400);
+};
+
+export const useReorder = () => {
+  const scope = useId();
+  // { id, overId, overTarget } while a pointer drag is active
+  const [drag, setDrag] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const stopRef = useRef(null);
+
+  useEffect(() => () => stopRef.current?.(), []);
+
+  const start = (e, id, { onReorder, onDropTarget }) => {
+    if (e.pointerType === 'mouse' || !e.isPrimary || (!onReorder && !onDropTarget)) return;
+    stopRef.current?.();
+    const el = e.currentTarget;
+    const pointerId = e.pointerId;
+    const origin = { x: e.clientX, y: e.clientY, scrollY: window.scrollY };
+    let pointer = { x: e.clientX, y: e.clientY };
+    let over = { overId: null, overTarget: null };
+    let active = false;
+    let frame = null;
+
+    const place = () => {
+      el.style.transform = `translate(${pointer.x - origin.x}px, ${pointer.y - origin.y + window.scrollY - origin.scrollY}px) scale(1.04)`;
+    };
+
+    const hitTest = () => {
+      const hit = document.elementFromPoint(pointer.x, pointer.y);
+      const target = onDropTarget ? hit?.closest('[data-drop-target]') : null;
+      const row = !target && onReorder ? hit?.closest(`[data-reorder-scope="${scope}"]`) : null;
+      const next = { overId: row ? row.dataset.reorderId : null, overTarget: target ? target.dataset.dropTarget : null };
+      if (next.overId === over.overId && next.overTarget === over.overTarget) return;
+      if (next.overTarget || (next.overId && next.overId !== id)) buzz(5);
+      over = next;
+      setDrag({ id, ...over });
+    };
+
+    const autoScroll = () => {
+      const fromBottom = window.innerHeight - pointer.y;
+      const depth = pointer.y < SCROLL_EDGE ? pointer.y - SCROLL_EDGE : fromBottom < SCROLL_EDGE ? SCROLL_EDGE - fromBottom : 0;
+      if (depth) {
+        window.scrollBy(0, Math.round((depth / SCROLL_EDGE) * SCROLL_SPEED));
+        place();
+        hitTest();
+      }
+      frame = requestAnimationFrame(autoScroll);
+    };
+
+    const pickUp = () => {
+      active = true;
+      buzz(15);
+      // lifted out of the flow visually; elementFromPoint must see what is underneath
+      Object.assign(el.style, { transition: 'none', zIndex: '40', pointerEvents: 'none', opacity: '0.9' });
+      place();
+      setDrag({ id, ...over });
+      frame = requestAnimationFrame(autoScroll);
+    };
+
+    const onMove = (ev) => {
+      if (ev.pointerId !== pointerId) return;
+      pointer = { x: ev.clientX, y: ev.clientY };
+      if (!active) {
+        if (Math.hypot(pointer.x - origin.x, pointer.y - origin.y) > MOVE_TOLERANCE) stop();
+        return;
+      }
+      place();
+      hitTest();
+    };
+
+    // Once picked up, the page must not scroll (or open a context menu) under the finger.
+    const holdStill = (ev) => { if (active) ev.preventDefault(); };
+
+    const onUp = (ev) => {
+      if (ev.pointerId !== pointerId) return;
+      const dropped = active;
+      stop();
+      if (!dropped) return;
+      swallowNextClick();
+      buzz(10);
+      if (over.overTarget) onDropTarget(id, over.overTarget);
+      else if (over.overId && over.overId !== id) onReorder(id, over.overId);
+    };
+
+    const onCancel = (ev) => { if (ev.pointerId === pointerId) stop(); };
+
+    const timer = setTimeout(pickUp, LONG_PRESS_MS);
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+    window.addEventListener('pointercancel', onCancel);
+    window.addEventListener('touchmove', holdStill, { passive: false });
+    window.addEventListener('contextmenu', holdStill);
+
+    const stop = () => {
+      clearTimeout(timer);
+      cancelAnimationFrame(frame);
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+      window.removeEventListener('pointercancel', onCancel);
+      window.removeEventListener('touchmove', holdStill);
+      window.removeEventListener('contextmenu', holdStill);
+      Object.assign(el.style, { transition: '', zIndex: '', pointerEvents: '', opacity: '', transform: '' });
+      stopRef.current = null;
+      setDrag(null);
+    };
+    stopRef.current = stop;
+  };
+
+  const onKeyDown = (e, id, { ids = [], onReorder }) => {
+    const step = KEY_STEPS[e.key];
+    if (!e.altKey || !step || !onReorder) return;
+    e.preventDefault();
+    const index = ids.indexOf(id);
+    const targetId = index === -1 ? null : ids[index + step];
+    if (!targetId) return;
+    onReorder(id, targetId);
+    buzz(5);
+    setAnnouncement(`Moved to position ${index + step + 1} of ${ids.length}`);
+  };
+
+  const bind = (id, options = {}) => ({
+    'data-reorder-id': id,
+    'data-reorder-scope': scope,
+    'aria-keyshortcuts': options.onReorder ? 'Alt+ArrowUp Alt+ArrowDown' : undefined,
+    onPointerDown: (e) => start(e, id, options),
+    onKeyDown: (e) => onKeyDown(e, id, options),
+  });
+
+  return { drag, announcement, bind };
+};
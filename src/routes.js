@@ -0,0 +1,53 @@
+// --- ROUTES ---
+//
+// The address bar mirrors the open view so a reload, bookmark or shared link
+// comes back to it:
+//   /                home          /space/:id   bucket      /item/:id   item
+//   /search?q=…      search        /tag/:tag    tag
+//   /settings        settings      /trash       trash
+// A route is { view, activeBucketId, activeItemId, activeTag, searchQuery };
+// modals are not part of it.
+
+export const HOME_ROUTE = { view: 'home', activeBucketId: null, activeItemId: null, activeTag: null, searchQuery: '' };
+
+const PAGES = ['settings', 'trash'];
+
+export const routePath = ({ view, activeBucketId, activeItemId, activeTag, searchQuery }) => {
+  if (view === 'bucket' && activeBucketId) return `/space/${encodeURIComponent(activeBucketId)}`;
+  if (view === 'item' && activeItemId) return `/item/${encodeURIComponent(activeItemId)}`;
+  if (view === 'tag' && activeTag) return `/tag/${encodeURIComponent(activeTag)}`;
+  if (view === 'search') return searchQuery?.trim() ? `/search?q=${encodeURIComponent(searchQuery.trim())}` : '/search';
+  if (PAGES.includes(view)) return `/${view}`;
+  return '/';
+};
+
+const decode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+// Unknown paths open home.
+export const parseRoute = ({ pathname, search }) => {
+  const [first, second] = pathname.split('/').filter(Boolean);
+  const id = second ? decode(second) : null;
+  if (first === 'space' && id) return { ...HOME_ROUTE, view: 'bucket', activeBucketId: id };
+  if (first === 'item' && id) return { ...HOME_ROUTE, view: 'item', activeItemId: id };
+  if (first === 'tag' && id) return { ...HOME_ROUTE, view: 'tag', activeTag: id };
+  if (first === 'search' && !second) return { ...HOME_ROUTE, view: 'search', searchQuery: new URLSearchParams(search).get('q') || '' };
+  if (PAGES.includes(first) && !second) return { ...HOME_ROUTE, view: first };
+  return HOME_ROUTE;
+};
+
+// A parsed route checked against the library: an item brings its space along,
+// and a space or item that no longer exists falls back to home.
+export const resolveRoute = (route, data) => {
+  if (route.view === 'item') {
+    const item = data.items.find(i => i.id === route.activeItemId);
+    return item ? { ...route, activeBucketId: item.bucketId } : HOME_ROUTE;
+  }
+  if (route.view === 'bucket' && !data.buckets.some(b => b.id === route.activeBucketId)) return HOME_ROUTE;
+  return route;
+};
@@ -0,0 +1,155 @@
+// --- SEARCH ---
+//
+// An inverted index over item text and bucket intent. Tokens are kept sorted
+// so each query term is a prefix range lookup instead of a scan over items.
+// Per-record token lists are memoized on the record object, so rebuilding
+// after an edit only re-tokenizes the records that actually changed.
+
+const ITEM_FIELDS = ['title', 'domain', 'notes', 'tags'];
+
+// Lowercase, accents stripped: "Café" and "cafe" compare equal.
+const fold = (text) => text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+
+export const tokenize = (text) => fold(Array.isArray(text) ? text.join(' ') : String(text || ''))
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+// `str` folded one character at a time, with the range in `str` each folded
+// unit came from, so matches found in the folded text map back to the original.
+const foldWithOffsets = (str) => {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let i = 0;
+  for (const ch of str) {
+    const f = fold(ch);
+    folded += f;
+    for (let k = 0; k < f.length; k++) {
+      starts.push(i);
+      ends.push(i + ch.length);
+    }
+    i += ch.length;
+  }
+  return { folded, starts, ends };
+};
+
+const tokenCache = new WeakMap();
+
+const tokensFor = (record, fields) => {
+  if (tokenCache.has(record)) return tokenCache.get(record);
+  const tokens = new Set(fields.flatMap(f => tokenize(record[f])));
+  tokenCache.set(record, tokens);
+  return tokens;
+};
+
+const addPosting = (postings, token, id) => {
+  if (!postings.has(token)) postings.set(token, new Set());
+  postings.get(token).add(id);
+};
+
+export const buildSearchIndex = ({ items, buckets }) => {
+  const itemPostings = new Map();
+  const bucketPostings = new Map();
+  items.forEach(item => tokensFor(item, ITEM_FIELDS).forEach(t => addPosting(itemPostings, t, item.id)));
+  buckets.forEach(bucket => tokensFor(bucket, ['intent']).forEach(t => addPosting(bucketPostings, t, bucket.id)));
+  const bucketItems = new Map();
+  items.forEach(item => addPosting(bucketItems, item.bucketId, item.id));
+  return {
+    items: new Map(items.map(i => [i.id, i])),
+    bucketItems,
+    itemPostings,
+    itemTokens: [...itemPostings.keys()].sort(),
+    bucketPostings,
+    bucketTokens: [...bucketPostings.keys()].sort(),
+  };
+};
+
+// First index in a sorted array whose value is >= target.
+const lowerBound = (arr, target) => {
+  let lo = 0;
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (arr[mid] < target) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+};
+
+const prefixMatches = (sortedTokens, postings, prefix) => {
+  const out = new Set();
+  for (let i = lowerBound(sortedTokens, prefix); i < sortedTokens.length && sortedTokens[i].startsWith(prefix); i++) {
+    postings.get(sortedTokens[i]).forEach(id => out.add(id));
+  }
+  return out;
+};
+
+// Filters: { status: 'any'|'saved'|'shortlisted'|'rejected', archived: 'active'|'archived'|'all',
+//            bucketId, from, to } where from/to are 'YYYY-MM-DD' strings bounding createdAt.
+export const DEFAULT_SEARCH_FILTERS = { status: 'any', archived: 'active', bucketId: '', from: '', to: '' };
+
+const passesFilters = (item, filters) => {
+  if (filters.status !== 'any' && item.status !== filters.status) return false;
+  if (filters.archived === 'active' && item.isArchived) return false;
+  if (filters.archived === 'archived' && !item.isArchived) return false;
+  if (filters.bucketId && item.bucketId !== filters.bucketId) return false;
+  if (filters.from && item.createdAt < new Date(`${filters.from}T00:00:00`).getTime()) return false;
+  if (filters.to && item.createdAt > new Date(`${filters.to}T23:59:59.999`).getTime()) return false;
+  return true;
+};
+
+// Every query term must match (as a prefix) some token of the item or of its bucket's intent.
+export const searchIndex = (index, query, filters = DEFAULT_SEARCH_FILTERS, limit = 200) => {
+  const terms = tokenize(query);
+  let candidates = null;
+  for (const term of terms) {
+    const matched = prefixMatches(index.itemTokens, index.itemPostings, term);
+    prefixMatches(index.bucketTokens, index.bucketPostings, term)
+      .forEach(bucketId => index.bucketItems.get(bucketId)?.forEach(id => matched.add(id)));
+    candidates = candidates ? new Set([...candidates].filter(id => matched.has(id))) : matched;
+    if (!candidates.size) break;
+  }
+
+  const results = [];
+  for (const id of candidates || index.items.keys()) {
+    const item = index.items.get(id);
+    if (passesFilters(item, filters)) results.push(item);
+  }
+  return results.sort((a, b) => b.createdAt - a.createdAt).slice(0, limit);
+};
+
+// Split text into [{ text, match }] runs so matched query prefixes can be highlighted.
+export const highlightParts = (text, query) => {
+  const str = String(text || '');
+  const terms = tokenize(query);
+  if (!str || !terms.length) return [{ text: str, match: false }];
+  const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).sort((a, b) => b.length - a.length);
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(${escaped.join('|')})`, 'giu');
+  const { folded, starts, ends } = foldWithOffsets(str);
+  const parts = [];
+  let last = 0;
+  for (const m of folded.matchAll(re)) {
+    const from = starts[m.index];
+    const to = ends[m.index + m[0].length - 1];
+    if (from < last) continue;
+    if (from > last) parts.push({ text: str.slice(last, from), match: false });
+    parts.push({ text: str.slice(from, to), match: true });
+    last = to;
+  }
+  if (last < str.length) parts.push({ text: str.slice(last), match: false });
+  return parts;
+};
+
+// A short window of `text` around the first match, for notes previews.
+export const snippetAround = (text, query, radius = 60) => {
+  const str = String(text || '');
+  const terms = tokenize(query);
+  const { folded, starts } = foldWithOffsets(str);
+  const at = terms.reduce((best, t) => {
+    const i = folded.indexOf(t);
+    return i !== -1 && (best === -1 || starts[i] < best) ? starts[i] : best;
+  }, -1);
+  if (at === -1) return str.length > radius * 2 ? `${str.slice(0, radius * 2)}…` : str;
+  const start = Math.max(0, at - radius);
+  const end = Math.min(str.length, at + radius);
+  return `${start > 0 ? '…' : ''}${str.slice(start, end)}${end < str.length ? '…' : ''}`;
+};
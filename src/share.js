@@ -0,0 +1,40 @@
+// --- SHARE TARGET / SERVICE WORKER ---
+//
+// Sharing to the installed app posts to /share-target, which public/sw.js
+// answers by parking the share in the Cache API and opening `/?share=1`.
+// The app then takes the share (once) and opens capture prefilled with it.
+
+import { blobToDataUrl } from './storage.js';
+
+// Keep in sync with public/sw.js
+const SHARE_CACHE = 'share-target';
+const SHARE_DATA = '/__share/data';
+const SHARE_IMAGE = '/__share/image';
+
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed', err));
+  });
+};
+
+export const hasPendingShare = () => new URLSearchParams(window.location.search).has('share');
+
+// Apps put the link in `url`, in `text` ("Look at this https://…") or in both.
+const sharedLink = (text) => (String(text || '').match(/\bhttps?:\/\/\S+/i) || [])[0]?.replace(/[.,;:!?)'"]+$/, '') || '';
+
+// { title, text, image } where `text` is what goes into the capture field and
+// `image` a data URL; null when there is nothing to take. The share is removed
+// from the cache and `?share=1` from the address bar either way.
+export const takePendingShare = async () => {
+  window.history.replaceState(window.history.state, '', window.location.pathname);
+  if (!('caches' in window)) return null;
+  const cache = await caches.open(SHARE_CACHE);
+  const [dataRes, imageRes] = await Promise.all([cache.match(SHARE_DATA), cache.match(SHARE_IMAGE)]);
+  await Promise.all([cache.delete(SHARE_DATA), cache.delete(SHARE_IMAGE)]);
+  if (!dataRes && !imageRes) return null;
+  const { title = '', text = '', url = '' } = dataRes ? await dataRes.json() : {};
+  const image = imageRes ? await blobToDataUrl(await imageRes.blob()) : null;
+  const link = url.trim() || sharedLink(text) || sharedLink(title);
+  return { title: title.trim(), text: link || text.trim() || title.trim(), image };
+};
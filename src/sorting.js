@@ -0,0 +1,102 @@
+// --- BUCKET SORTING & GROUPING ---
+//
+// Buckets carry `sortMode` and `groupBy` next to `viewMode`. Manual order is a
+// per-bucket `position` on each item (lower comes first); items without one
+// (imported, older data) follow in array order.
+
+export const SORT_MODES = [
+  { id: 'manual', label: 'Manual' },
+  { id: 'newest', label: 'Newest' },
+  { id: 'oldest', label: 'Oldest' },
+  { id: 'visited', label: 'Most visited' },
+  { id: 'title', label: 'Title' },
+  { id: 'domain', label: 'Domain' },
+  { id: 'price', label: 'Price' },
+  { id: 'status', label: 'Status' },
+];
+
+export const GROUP_MODES = [
+  { id: 'none', label: 'No grouping' },
+  { id: 'status', label: 'By status' },
+  { id: 'domain', label: 'By domain' },
+];
+
+const STATUS_ORDER = ['shortlisted', 'saved', 'rejected'];
+const STATUS_LABELS = { shortlisted: 'Shortlisted', saved: 'Saved', rejected: 'Rejected' };
+
+const byTitle = (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' });
+
+const statusRank = (item) => {
+  const rank = STATUS_ORDER.indexOf(item.status);
+  return rank === -1 ? STATUS_ORDER.length : rank;
+};
+
+const hasPrice = (item) => item.price !== '' && item.price != null && Number.isFinite(Number(item.price));
+
+const hasPosition = (item) => typeof item.position === 'number';
+
+const COMPARATORS = {
+  manual: (a, b) => (hasPosition(a) && hasPosition(b) ? a.position - b.position : hasPosition(b) - hasPosition(a)),
+  newest: (a, b) => (b.createdAt || 0) - (a.createdAt || 0),
+  oldest: (a, b) => (a.createdAt || 0) - (b.createdAt || 0),
+  visited: (a, b) => (b.visitCount || 0) - (a.visitCount || 0) || byTitle(a, b),
+  title: byTitle,
+  domain: (a, b) => (a.domain || '~').localeCompare(b.domain || '~') || byTitle(a, b),
+  // cheapest first; unpriced items last
+  price: (a, b) => (hasPrice(b) - hasPrice(a)) || (hasPrice(a) ? Number(a.price) - Number(b.price) : 0) || byTitle(a, b),
+  status: (a, b) => statusRank(a) - statusRank(b) || COMPARATORS.manual(a, b),
+};
+
+// Array.prototype.sort is stable, so ties keep array order.
+export const sortItems = (items, mode = 'manual') => [...items].sort(COMPARATORS[mode] || COMPARATORS.manual);
+
+// [{ key, label, items }] in display order; a single unlabeled group when not grouping.
+export const groupItems = (items, mode = 'none') => {
+  if (mode === 'status') {
+    return STATUS_ORDER
+      .map(status => ({ key: status, label: STATUS_LABELS[status], items: items.filter(i => (i.status || 'saved') === status) }))
+      .filter(g => g.items.length);
+  }
+  if (mode === 'domain') {
+    const groups = new Map();
+    items.forEach(i => {
+      const key = i.domain || '';
+      if (!groups.has(key)) groups.set(key, { key, label: key || 'No domain', items: [] });
+      groups.get(key).items.push(i);
+    });
+    return [...groups.values()].sort((a, b) => b.items.length - a.items.length || a.label.localeCompare(b.label));
+  }
+  return [{ key: 'all', label: '', items }];
+};
+
+// Position that puts a new item above everything else in its bucket.
+export const topPosition = (items, bucketId) => {
+  const positions = items.filter(i => i.bucketId === bucketId && hasPosition(i)).map(i => i.position);
+  return positions.length ? Math.min(...positions) - 1 : 0;
+};
+
+// Move `draggedId` to where `targetId` is within the bucket's manual order;
+// returns Map(id -> position) renumbering the whole bucket.
+export const reorderPositions = (items, bucketId, draggedId, targetId) => {
+  const ordered = sortItems(items.filter(i => i.bucketId === bucketId), 'manual');
+  const from = ordered.findIndex(i => i.id === draggedId);
+  const to = ordered.findIndex(i => i.id === targetId);
+  if (from === -1 || to === -1) return new Map();
+  const [dragged] = ordered.splice(from, 1);
+  ordered.splice(to, 0, dragged);
+  return new Map(ordered.map((i, idx) => [i.id, idx]));
+};
+
+// Give every item without a position one, following the current array order per bucket.
+export const assignMissingPositions = (items) => {
+  const next = new Map();
+  items.forEach(i => {
+    if (!next.has(i.bucketId)) next.set(i.bucketId, Math.max(-1, ...items.filter(x => x.bucketId === i.bucketId && hasPosition(x)).map(x => x.position)) + 1);
+  });
+  return items.map(i => {
+    if (hasPosition(i)) return i;
+    const position = next.get(i.bucketId);
+    next.set(i.bucketId, position + 1);
+    return { ...i, position };
+  });
+};
@@ -0,0 +1,87 @@
+// --- SPACE APPEARANCE & NESTING ---
+//
+// Buckets can carry `color` (an accent id below), `coverItemId` (one of their
+// own items whose image fronts the tile) and `pinned` (shown before the rest
+// on the home screen). All are optional; a bucket without them looks as before.
+//
+// Buckets nest through `parentId`. One whose parent is gone (in the trash, or
+// purged) is treated as top-level and nests again if the parent is restored;
+// the walks below never loop even if the data does.
+
+export const SPACE_COLORS = [
+  { id: 'stone', label: 'Stone', accent: '#57534e', tint: '#ffffff' },
+  { id: 'rose', label: 'Rose', accent: '#e11d48', tint: '#fff1f2' },
+  { id: 'amber', label: 'Amber', accent: '#d97706', tint: '#fffbeb' },
+  { id: 'emerald', label: 'Emerald', accent: '#059669', tint: '#ecfdf5' },
+  { id: 'sky', label: 'Sky', accent: '#0284c7', tint: '#f0f9ff' },
+  { id: 'violet', label: 'Violet', accent: '#7c3aed', tint: '#f5f3ff' },
+];
+
+export const VIEW_MODES = [
+  { id: 'calm', label: 'Cards' },
+  { id: 'compact', label: 'Compact' },
+];
+
+export const spaceColor = (bucket) => SPACE_COLORS.find(c => c.id === bucket?.color) || SPACE_COLORS[0];
+
+// Pinned buckets first; each group keeps the user's order.
+export const pinnedFirst = (buckets) => [...buckets.filter(b => b.pinned), ...buckets.filter(b => !b.pinned)];
+
+// Items whose image can front the bucket.
+export const coverCandidates = (bucket, items) => items.filter(i => i.bucketId === bucket.id && !i.isArchived && i.image);
+
+// The cover item, or null once it has left the bucket or lost its image.
+export const coverItem = (bucket, items) => (bucket.coverItemId ? coverCandidates(bucket, items).find(i => i.id === bucket.coverItemId) || null : null);
+
+// --- Nesting ---
+
+export const isTopLevel = (bucket, buckets) => !bucket.parentId || !buckets.some(b => b.id === bucket.parentId);
+
+export const topLevelBuckets = (buckets) => buckets.filter(b => isTopLevel(b, buckets));
+
+export const childBuckets = (buckets, id) => buckets.filter(b => b.parentId === id && b.id !== id);
+
+// Buckets sharing a parent with `bucket` (itself included), in display order.
+export const siblingBuckets = (buckets, bucket) => pinnedFirst(isTopLevel(bucket, buckets) ? topLevelBuckets(buckets) : childBuckets(buckets, bucket.parentId));
+
+// The buckets above `id`, outermost first.
+export const ancestors = (buckets, id) => {
+  const path = [];
+  const seen = new Set([id]);
+  let parent = buckets.find(b => b.id === buckets.find(x => x.id === id)?.parentId);
+  while (parent && !seen.has(parent.id)) {
+    seen.add(parent.id);
+    path.unshift(parent);
+    parent = buckets.find(b => b.id === parent.parentId);
+  }
+  return path;
+};
+
+// Everything nested under `id`, depth first, children in display order.
+export const descendants = (buckets, id) => {
+  const out = [];
+  const seen = new Set([id]);
+  const walk = (parentId) => pinnedFirst(childBuckets(buckets, parentId)).forEach(b => {
+    if (seen.has(b.id)) return;
+    seen.add(b.id);
+    out.push(b);
+    walk(b.id);
+  });
+  walk(id);
+  return out;
+};
+
+// Where `id` may move: anywhere but into itself or its own descendants.
+export const parentChoices = (buckets, id) => {
+  const excluded = new Set([id, ...descendants(buckets, id).map(b => b.id)]);
+  return buckets.filter(b => !excluded.has(b.id));
+};
+
+// "Gear › Cameras" for pickers where nested names would be ambiguous.
+export const spacePath = (buckets, bucket) => [...ancestors(buckets, bucket.id), bucket].map(b => b.name).join(' › ');
+
+// Active items in the bucket and everything nested under it.
+export const rolledUpCount = (buckets, items, id) => {
+  const ids = new Set([id, ...descendants(buckets, id).map(b => b.id)]);
+  return items.filter(i => ids.has(i.bucketId) && !i.isArchived).length;
+};
@@ -0,0 +1,353 @@
+// --- PERSISTENCE (IndexedDB) ---
+//
+// The app keeps its whole state in memory as `{ buckets, items, ...rest }`.
+// On disk every bucket, item and trash entry is its own record, pasted images
+// live as Blobs in their own store, and everything else goes into a single
+// `state` record. `persistChanges` diffs two in-memory snapshots by record identity,
+// so a keystroke in one item only rewrites that item.
+
+const DB_NAME = 'capture_app';
+
+// Legacy single-blob localStorage keys, newest first.
+const LEGACY_KEYS = ['capture_app_db_v5', 'capture_app_db_v4', 'capture_app_db_v3', 'capture_app_db_v2', 'capture_app_db_v1', 'capture_app_db'];
+
+// Each entry upgrades the database from version `i` to `i + 1`.
+// Never edit a shipped entry: append a new one instead.
+const MIGRATIONS = [
+  (db) => {
+    db.createObjectStore('buckets', { keyPath: 'id' });
+    const items = db.createObjectStore('items', { keyPath: 'id' });
+    items.createIndex('bucketId', 'bucketId');
+    db.createObjectStore('images', { keyPath: 'id' });
+    db.createObjectStore('meta', { keyPath: 'key' });
+  },
+  // v2: offline reader copies, one per item (keyed by item id)
+  (db) => {
+    db.createObjectStore('articles', { keyPath: 'id' });
+  },
+  // v3: trash entries move out of the `state` record, one record per entry
+  (db, tx) => {
+    const trash = db.createObjectStore('trash', { keyPath: 'id' });
+    const meta = tx.objectStore('meta');
+    meta.get('state').onsuccess = (e) => {
+      if (!e.target.result) return;
+      const { trash: entries = [], ...rest } = e.target.result.value;
+      entries.forEach(entry => trash.put(entry));
+      meta.put({ key: 'state', value: rest });
+    };
+  },
+];
+
+const DB_VERSION = MIGRATIONS.length;
+
+export class StorageQuotaError extends Error {
+  constructor(cause) {
+    super('Storage is full. Remove some images or archived items to keep saving.');
+    this.name = 'StorageQuotaError';
+    this.cause = cause;
+  }
+}
+
+const isQuotaError = (err) => !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+
+const wrapError = (err) => (isQuotaError(err) ? new StorageQuotaError(err) : err);
+
+const requestToPromise = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(wrapError(req.error));
+});
+
+const txDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onabort = () => reject(wrapError(tx.error));
+  tx.onerror = () => reject(wrapError(tx.error));
+});
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      for (let v = e.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](db, req.transaction);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+    req.onblocked = () => console.warn('IndexedDB upgrade blocked by another open tab');
+  });
+  return dbPromise;
+};
+
+// --- Images ---
+
+const objectUrls = new Map();
+
+export const dataUrlToBlob = (dataUrl) => {
+  const [header, body] = dataUrl.split(',');
+  const type = (header.match(/^data:([^;]+)/) || [])[1] || 'application/octet-stream';
+  if (!/;base64/.test(header)) return new Blob([decodeURIComponent(body)], { type });
+  const bin = atob(body);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type });
+};
+
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const objectUrlFor = (imageId, blob) => {
+  if (!objectUrls.has(imageId)) objectUrls.set(imageId, URL.createObjectURL(blob));
+  return objectUrls.get(imageId);
+};
+
+// Store a pasted image blob; resolves to an object URL usable in <img>.
+export const saveImage = async (imageId, blob) => {
+  const db = await openDb();
+  const tx = db.transaction('images', 'readwrite');
+  tx.objectStore('images').put({ id: imageId, blob, createdAt: Date.now() });
+  await txDone(tx);
+  return objectUrlFor(imageId, blob);
+};
+
+// Synchronous variant for callers that render before the write finishes.
+export const imageUrlFor = (imageId, blob) => objectUrlFor(imageId, blob);
+
+export const getImageBlob = async (imageId) => {
+  const db = await openDb();
+  const rec = await requestToPromise(db.transaction('images').objectStore('images').get(imageId));
+  return rec ? rec.blob : null;
+};
+
+// --- Articles ---
+
+// `article` is the sanitized reader copy: { url, title, byline, html, wordCount, readingMinutes, savedAt }.
+export const saveArticle = async (itemId, article) => {
+  const db = await openDb();
+  const tx = db.transaction('articles', 'readwrite');
+  tx.objectStore('articles').put({ ...article, id: itemId });
+  await txDone(tx);
+};
+
+export const getArticle = async (itemId) => {
+  const db = await openDb();
+  return (await requestToPromise(db.transaction('articles').objectStore('articles').get(itemId))) || null;
+};
+
+// --- Record shape ---
+
+// Fill in fields that older schemas did not have.
+const upgradeBucket = (b) => ({ viewMode: 'calm', sortMode: 'manual', groupBy: 'none', intent: '', createdAt: Date.now(), ...b });
+
+const upgradeItem = (i) => ({
+  url: '', title: '', domain: '', image: null, notes: '', tags: [], price: '', status: 'saved',
+  isArchived: false, visitCount: 0, metaStatus: 'done', metaAttempts: 0, site: '', createdAt: Date.now(),
+  ...i,
+});
+
+// The in-memory `image` of a stored-blob item is an object URL and must not be persisted.
+const toStoredItem = (item) => {
+  if (!item.imageId) return item;
+  const { image: _IMAGE, ...rest } = item;
+  return rest;
+};
+
+// Apply `fn` to the item records a trash entry holds (one, or a bucket's worth).
+const mapTrashItems = (entry, fn) => (entry.kind === 'bucket'
+  ? { ...entry, items: (entry.items || []).map(fn) }
+  : { ...entry, item: fn(entry.item) });
+
+// --- Legacy import ---
+
+const readLegacyBlob = () => {
+  for (const key of LEGACY_KEYS) {
+    const raw = localStorage.getItem(key);
+    if (!raw) continue;
+    try {
+      const parsed = JSON.parse(raw);
+      if (parsed && Array.isArray(parsed.buckets)) return { key, data: parsed };
+    } catch (e) {
+      console.warn(`Skipping unreadable ${key}`, e);
+    }
+  }
+  return null;
+};
+
+const importLegacy = async (db, legacy) => {
+  const { buckets = [], items = [], ...rest } = legacy.data;
+  const tx = db.transaction(['buckets', 'items', 'images', 'meta'], 'readwrite');
+  buckets.forEach(b => tx.objectStore('buckets').put(upgradeBucket(b)));
+  items.forEach(raw => {
+    const item = upgradeItem(raw);
+    if (typeof item.image === 'string' && item.image.startsWith('data:')) {
+      const imageId = `img_${item.id}`;
+      tx.objectStore('images').put({ id: imageId, blob: dataUrlToBlob(item.image), createdAt: item.createdAt });
+      item.imageId = imageId;
+    }
+    tx.objectStore('items').put(toStoredItem(item));
+  });
+  tx.objectStore('meta').put({ key: 'state', value: rest });
+  tx.objectStore('meta').put({ key: 'order', value: { buckets: buckets.map(b => b.id), items: items.map(i => i.id) } });
+  tx.objectStore('meta').put({ key: 'legacyImport', value: { from: legacy.key, at: Date.now() } });
+  await txDone(tx);
+};
+
+// --- Public API ---
+
+// Resolve the full in-memory database, importing legacy localStorage data on first run.
+// Returns null when there is nothing stored yet.
+export const loadDatabase = async () => {
+  const db = await openDb();
+  const imported = await requestToPromise(db.transaction('meta').objectStore('meta').get('legacyImport'));
+  if (!imported) {
+    const legacy = readLegacyBlob();
+    if (legacy) await importLegacy(db, legacy);
+  }
+
+  const tx = db.transaction(['buckets', 'items', 'images', 'trash', 'meta']);
+  const [buckets, items, images, trash, state, order] = await Promise.all([
+    requestToPromise(tx.objectStore('buckets').getAll()),
+    requestToPromise(tx.objectStore('items').getAll()),
+    requestToPromise(tx.objectStore('images').getAll()),
+    requestToPromise(tx.objectStore('trash').getAll()),
+    requestToPromise(tx.objectStore('meta').get('state')),
+    requestToPromise(tx.objectStore('meta').get('order')),
+  ]);
+  if (!state && buckets.length === 0) return null;
+
+  const blobs = new Map(images.map(rec => [rec.id, rec.blob]));
+  const withImage = (i) => (i.imageId && blobs.has(i.imageId) ? { ...i, image: objectUrlFor(i.imageId, blobs.get(i.imageId)) } : i);
+  const hydrated = items.map(upgradeItem).map(withImage);
+
+  return {
+    ...(state?.value || {}),
+    buckets: sortByOrder(buckets.map(upgradeBucket), order?.value?.buckets, (a, b) => a.createdAt - b.createdAt),
+    items: sortByOrder(hydrated, order?.value?.items, (a, b) => b.createdAt - a.createdAt),
+    // newest first, as entries are added
+    trash: trash.map(e => mapTrashItems(e, withImage)).sort((a, b) => b.deletedAt - a.deletedAt),
+  };
+};
+
+// Records come back from IndexedDB in key order; restore the in-memory array order.
+const sortByOrder = (records, ids, fallback) => {
+  if (!ids) return records.sort(fallback);
+  const rank = new Map(ids.map((id, idx) => [id, idx]));
+  return records.sort((a, b) => (rank.get(a.id) ?? -1) - (rank.get(b.id) ?? -1) || fallback(a, b));
+};
+
+const sameOrder = (prev = [], next = []) => prev.length === next.length && prev.every((r, idx) => r.id === next[idx].id);
+
+const diffRecords = (prev = [], next = []) => {
+  const before = new Map(prev.map(r => [r.id, r]));
+  const changed = next.filter(r => before.get(r.id) !== r);
+  const nextIds = new Set(next.map(r => r.id));
+  const removed = prev.filter(r => !nextIds.has(r.id));
+  return { changed, removed };
+};
+
+const restOf = (snapshot) => {
+  const { buckets: _BUCKETS, items: _ITEMS, trash: _TRASH, ...rest } = snapshot;
+  return rest;
+};
+
+const shallowEqual = (a, b) => {
+  const ka = Object.keys(a);
+  return ka.length === Object.keys(b).length && ka.every(k => a[k] === b[k]);
+};
+
+// Write only the records that differ between two in-memory snapshots.
+// `retainedItemIds` are removed items that undo can still bring back: their
+// image blobs and offline copies stay until `pruneOrphans` runs.
+export const persistChanges = async (prev, next, { retainedItemIds = new Set(), retainedImageIds = new Set() } = {}) => {
+  const buckets = diffRecords(prev?.buckets, next.buckets);
+  const items = diffRecords(prev?.items, next.items);
+  const trash = diffRecords(prev?.trash, next.trash || []);
+  const rest = restOf(next);
+  const restChanged = !prev || !shallowEqual(restOf(prev), rest);
+  const orderChanged = !prev || !sameOrder(prev.buckets, next.buckets) || !sameOrder(prev.items, next.items);
+  if (![buckets, items, trash].some(d => d.changed.length || d.removed.length) && !restChanged && !orderChanged) return;
+
+  // Orphaned images: referenced by a removed item and by nothing that remains.
+  const liveImages = new Set([...next.items.map(i => i.imageId).filter(Boolean), ...retainedImageIds]);
+  const orphanedImages = items.removed.map(i => i.imageId).filter(id => id && !liveImages.has(id));
+
+  const db = await openDb();
+  const tx = db.transaction(['buckets', 'items', 'images', 'articles', 'trash', 'meta'], 'readwrite');
+  buckets.changed.forEach(b => tx.objectStore('buckets').put(b));
+  buckets.removed.forEach(b => tx.objectStore('buckets').delete(b.id));
+  items.changed.forEach(i => tx.objectStore('items').put(toStoredItem(i)));
+  items.removed.forEach(i => {
+    tx.objectStore('items').delete(i.id);
+    if (!retainedItemIds.has(i.id)) tx.objectStore('articles').delete(i.id);
+  });
+  trash.changed.forEach(e => tx.objectStore('trash').put(mapTrashItems(e, toStoredItem)));
+  trash.removed.forEach(e => tx.objectStore('trash').delete(e.id));
+  orphanedImages.forEach(id => {
+    tx.objectStore('images').delete(id);
+    if (objectUrls.has(id)) { URL.revokeObjectURL(objectUrls.get(id)); objectUrls.delete(id); }
+  });
+  if (restChanged) tx.objectStore('meta').put({ key: 'state', value: rest });
+  if (orderChanged) tx.objectStore('meta').put({ key: 'order', value: { buckets: next.buckets.map(b => b.id), items: next.items.map(i => i.id) } });
+  await txDone(tx);
+};
+
+// --- Undo history ---
+
+// Object URLs die with the page: drop them from stored patches and rebuild them on load.
+const stripObjectUrls = (fields) => {
+  if (!fields) return fields;
+  if (fields.imageId || (typeof fields.image === 'string' && fields.image.startsWith('blob:'))) {
+    const { image: _IMAGE, ...rest } = fields;
+    return rest;
+  }
+  return fields;
+};
+
+// Item records in history entries, including those inside trash entries a step adds or removes.
+const mapEntryItems = (history, fn) => {
+  const trashSide = (t) => (t?.kind ? mapTrashItems(t, fn) : t);
+  const mapEntries = (entries) => entries.map(e => ({
+    ...e,
+    items: e.items.map(p => ({ ...p, before: fn(p.before), after: fn(p.after) })),
+    ...(e.trash ? { trash: e.trash.map(p => ({ ...p, before: trashSide(p.before), after: trashSide(p.after) })) } : {}),
+  }));
+  return { past: mapEntries(history.past), future: mapEntries(history.future) };
+};
+
+export const saveHistory = async (history) => {
+  const db = await openDb();
+  const tx = db.transaction('meta', 'readwrite');
+  tx.objectStore('meta').put({ key: 'history', value: mapEntryItems(history, stripObjectUrls) });
+  await txDone(tx);
+};
+
+// Resolves to the stored { past, future }, or null.
+export const loadHistory = async () => {
+  const db = await openDb();
+  const rec = await requestToPromise(db.transaction('meta').objectStore('meta').get('history'));
+  if (!rec?.value) return null;
+  const imageIds = new Set();
+  mapEntryItems(rec.value, (f) => { if (f?.imageId) imageIds.add(f.imageId); return f; });
+  const store = db.transaction('images').objectStore('images');
+  const images = await Promise.all([...imageIds].map(id => requestToPromise(store.get(id))));
+  const blobs = new Map(images.filter(Boolean).map(r => [r.id, r.blob]));
+  return mapEntryItems(rec.value, (f) => (f?.imageId && blobs.has(f.imageId) ? { ...f, image: objectUrlFor(f.imageId, blobs.get(f.imageId)) } : f));
+};
+
+// Delete image blobs and offline copies that neither the data nor the undo history can reach.
+export const pruneOrphans = async ({ itemIds, imageIds }) => {
+  const db = await openDb();
+  const tx = db.transaction(['images', 'articles'], 'readwrite');
+  const [imageKeys, articleKeys] = await Promise.all([
+    requestToPromise(tx.objectStore('images').getAllKeys()),
+    requestToPromise(tx.objectStore('articles').getAllKeys()),
+  ]);
+  imageKeys.filter(id => !imageIds.has(id)).forEach(id => tx.objectStore('images').delete(id));
+  articleKeys.filter(id => !itemIds.has(id)).forEach(id => tx.objectStore('articles').delete(id));
+  await txDone(tx);
+};
@@ -0,0 +1,40 @@
+// --- TAGS ---
+//
+// Tags are free-form labels stored on each item as `tags: string[]`.
+// They are compared case-insensitively but keep the casing they were first typed with.
+
+export const normalizeTag = (raw) => String(raw || '').replace(/^#+/, '').replace(/\s+/g, ' ').trim();
+
+export const tagKey = (tag) => normalizeTag(tag).toLowerCase();
+
+export const hasTag = (item, tag) => (item.tags || []).some(t => tagKey(t) === tagKey(tag));
+
+export const addTag = (tags = [], raw) => {
+  const tag = normalizeTag(raw);
+  if (!tag || tags.some(t => tagKey(t) === tagKey(tag))) return tags;
+  return [...tags, tag];
+};
+
+export const removeTag = (tags = [], tag) => tags.filter(t => tagKey(t) !== tagKey(tag));
+
+// All tags in use with their item counts, most used first.
+export const collectTags = (items) => {
+  const counts = new Map();
+  items.forEach(item => (item.tags || []).forEach(t => {
+    const key = tagKey(t);
+    const entry = counts.get(key) || { tag: t, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }));
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+// Existing tags that start with what has been typed so far, excluding ones already applied.
+export const suggestTags = (allTags, draft, current = [], limit = 6) => {
+  const prefix = tagKey(draft);
+  const applied = new Set(current.map(tagKey));
+  return allTags
+    .filter(({ tag }) => !applied.has(tagKey(tag)) && (!prefix || tagKey(tag).startsWith(prefix)))
+    .slice(0, limit)
+    .map(({ tag }) => tag);
+};
@@ -0,0 +1,27 @@
+// --- TRASH ---
+//
+// Deleted items and buckets are kept in `data.trash` until they expire or the
+// trash is emptied. Entries keep the full records so restoring is lossless:
+//   { id, kind: 'item', item, deletedAt }
+//   { id, kind: 'bucket', bucket, items: [...], deletedAt }
+// The entry id is the id of the deleted record.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days; 0 keeps everything until the trash is emptied by hand.
+export const TRASH_RETENTION_CHOICES = [7, 14, 30, 60, 90, 0];
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+export const trashItemEntry = (item, now = Date.now()) => ({ id: item.id, kind: 'item', item, deletedAt: now });
+
+export const trashBucketEntry = (bucket, items, now = Date.now()) => ({ id: bucket.id, kind: 'bucket', bucket, items, deletedAt: now });
+
+// Every item record held by the given entries, including those inside trashed buckets.
+export const trashedItems = (trash = []) => trash.flatMap(e => (e.kind === 'bucket' ? e.items || [] : [e.item])).filter(Boolean);
+
+export const retentionDays = (data) => data?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+
+export const expiresAt = (entry, days) => (days > 0 ? entry.deletedAt + days * DAY : null);
+
+// Entries past their retention period.
+export const expiredEntries = (trash = [], days, now = Date.now()) => trash.filter(e => days > 0 && now >= expiresAt(e, days));
@@ -0,0 +1,146 @@
+// --- UNDO / REDO ---
+//
+// Every tracked `setData` call becomes one entry holding a field-level patch
+// between the two snapshots, so undoing an edit does not roll back metadata
+// that arrived for the same item in the meantime. Records are compared by
+// identity (the app never mutates them), like `persistChanges` does.
+//
+// Entry: { id, label, at, items: [patch], buckets: [patch], trash: [patch], order?: { items, buckets } }
+// Patch: { id, before, after } — `before: null` means the record was created,
+// `after: null` that it was removed (the other side is then the full record);
+// otherwise both sides hold only the fields that changed.
+
+import { trashedItems } from './trash.js';
+
+export const HISTORY_LIMIT = 50;
+
+// Id-keyed lists of `data` that are tracked; the trash is included so undoing a
+// delete also takes the entry back out of it.
+const COLLECTIONS = ['items', 'buckets', 'trash'];
+
+// Typing into one field produces one entry per keystroke; these fold together.
+const COALESCE_MS = 1500;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+const diffFields = (a, b) => {
+  const before = {};
+  const after = {};
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach(k => {
+    if (a[k] !== b[k]) { before[k] = a[k]; after[k] = b[k]; }
+  });
+  return { before, after };
+};
+
+const diffList = (prev = [], next = []) => {
+  const before = new Map(prev.map(r => [r.id, r]));
+  const after = new Map(next.map(r => [r.id, r]));
+  const patches = [];
+  next.forEach(r => {
+    const old = before.get(r.id);
+    if (!old) patches.push({ id: r.id, before: null, after: r });
+    else if (old !== r) {
+      const fields = diffFields(old, r);
+      if (Object.keys(fields.after).length) patches.push({ id: r.id, ...fields });
+    }
+  });
+  prev.forEach(r => { if (!after.has(r.id)) patches.push({ id: r.id, before: r, after: null }); });
+  return patches;
+};
+
+const sameOrder = (a = [], b = []) => a.length === b.length && a.every((r, i) => r.id === b[i].id);
+
+const ids = (list = []) => list.map(r => r.id);
+
+// Patch entry between two snapshots, or null when nothing tracked changed.
+export const diffSnapshots = (prev, next, label = 'Change') => {
+  const patches = Object.fromEntries(COLLECTIONS.map(c => [c, diffList(prev[c], next[c])]));
+  const order = {};
+  if (!sameOrder(prev.items, next.items)) order.items = { before: ids(prev.items), after: ids(next.items) };
+  if (!sameOrder(prev.buckets, next.buckets)) order.buckets = { before: ids(prev.buckets), after: ids(next.buckets) };
+  if (!COLLECTIONS.some(c => patches[c].length) && !order.items && !order.buckets) return null;
+  return {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    label,
+    at: Date.now(),
+    ...patches,
+    ...(order.items || order.buckets ? { order } : {}),
+  };
+};
+
+// Only pure single-record field edits of the same fields fold into the previous entry.
+const soleList = (entry) => {
+  const lists = COLLECTIONS.filter(c => (entry[c] || []).length);
+  return lists.length === 1 && entry[lists[0]].length === 1 ? lists[0] : null;
+};
+
+const canCoalesce = (last, entry) => {
+  if (!last || last.label !== entry.label || entry.at - last.at > COALESCE_MS) return false;
+  const list = soleList(last);
+  if (last.order || entry.order || !list || soleList(entry) !== list) return false;
+  const [a] = last[list];
+  const [b] = entry[list];
+  if (a.id !== b.id || !a.before || !a.after || !b.before || !b.after) return false;
+  return Object.keys(a.after).sort().join() === Object.keys(b.after).sort().join();
+};
+
+// Push a new entry; a new change always clears the redo side.
+export const pushEntry = (history, entry, limit = HISTORY_LIMIT) => {
+  const last = history.past[history.past.length - 1];
+  if (canCoalesce(last, entry)) {
+    const list = soleList(last);
+    const [a] = last[list];
+    const [b] = entry[list];
+    const merged = { ...last, at: entry.at, [list]: [{ id: a.id, before: { ...b.before, ...a.before }, after: { ...a.after, ...b.after } }] };
+    return { past: [...history.past.slice(0, -1), merged], future: [] };
+  }
+  return { past: [...history.past, entry].slice(-limit), future: [] };
+};
+
+const applyList = (list, patches, side, order) => {
+  const other = side === 'before' ? 'after' : 'before';
+  const byId = new Map(list.map(r => [r.id, r]));
+  const added = [];
+  patches.forEach(p => {
+    const target = p[side];
+    if (target === null) { byId.delete(p.id); return; }
+    if (p[other] === null) {
+      if (!byId.has(p.id)) added.push(p.id);
+      byId.set(p.id, target);
+      return;
+    }
+    const cur = byId.get(p.id);
+    if (cur) byId.set(p.id, { ...cur, ...target });
+  });
+
+  let out = [...added.map(id => byId.get(id)), ...list.filter(r => byId.has(r.id)).map(r => byId.get(r.id))];
+  if (order) {
+    const rank = new Map(order.map((id, i) => [id, i]));
+    // records unknown to the saved order (created since) keep their place at the front
+    out = out
+      .map((r, i) => ({ r, i }))
+      .sort((x, y) => (rank.has(x.r.id) ? rank.get(x.r.id) : -1) - (rank.has(y.r.id) ? rank.get(y.r.id) : -1) || x.i - y.i)
+      .map(({ r }) => r);
+  }
+  return out;
+};
+
+// Apply one side of an entry to the current data: 'before' undoes it, 'after' redoes it.
+export const applyEntry = (data, entry, side) => ({
+  ...data,
+  ...Object.fromEntries(COLLECTIONS
+    .filter(c => entry[c]?.length || entry.order?.[c])
+    .map(c => [c, applyList(data[c] || [], entry[c] || [], side, entry.order?.[c]?.[side])])),
+});
+
+// Item records (whole or partial) a history step could bring back, trashed ones included.
+const restorableItems = (history) => [...history.past, ...history.future].flatMap(e => [
+  ...(e.items || []).flatMap(p => [{ id: p.id, ...p.before }, { id: p.id, ...p.after }]),
+  ...trashedItems((e.trash || []).flatMap(p => [p.before, p.after]).filter(t => t?.kind)),
+]);
+
+// Ids of items a history step could bring back; their blobs and offline copies must be kept.
+export const restorableItemIds = (history) => new Set(restorableItems(history).map(i => i.id));
+
+// Image ids referenced by items inside history entries (full records and field patches).
+export const restorableImageIds = (history) => new Set(restorableItems(history).map(i => i.imageId).filter(Boolean));
@@ -0,0 +1,75 @@
+// --- URL CANONICALIZATION ---
+//
+// Shared by the app and the metadata proxy. `canonicalizeUrl` produces the URL
+// we store; `urlKey` is a looser identity used to spot duplicates (it ignores
+// scheme and a leading "www.").
+
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gclsrc', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi',
+  'ref', 'ref_src', 'ref_url', 'referrer', 'spm', 'si', 'feature', 'smid', 'cmpid', 'ncid', 'sr_share',
+]);
+
+const isTrackingParam = (name) => {
+  const n = name.toLowerCase();
+  return n.startsWith('utm_') || TRACKING_PARAMS.has(n);
+};
+
+const SHORTENER_HOSTS = new Set([
+  't.co', 'bit.ly', 'amzn.to', 'amzn.eu', 'a.co', 'goo.gl', 'tinyurl.com', 'ow.ly', 'buff.ly', 'lnkd.in', 'fb.me',
+  'rb.gy', 'is.gd', 't.ly', 'shorturl.at', 'dlvr.it', 'trib.al', 'tiny.cc', 'cutt.ly', 'bl.ink', 'rebrand.ly', 'flip.it',
+]);
+
+// Accept what people paste: bare "www.x.com/...", stray whitespace.
+export const parseUserUrl = (raw) => {
+  const s = String(raw || '').trim();
+  if (!s) return null;
+  try {
+    return new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(s) ? s : `https://${s}`);
+  } catch {
+    return null;
+  }
+};
+
+export const isShortLink = (raw) => {
+  const u = parseUserUrl(raw);
+  return !!u && SHORTENER_HOSTS.has(u.hostname.toLowerCase().replace(/^www\./, ''));
+};
+
+export const canonicalizeUrl = (raw) => {
+  const u = parseUserUrl(raw);
+  if (!u || !/^https?:$/.test(u.protocol)) return String(raw || '').trim();
+
+  u.hostname = u.hostname.toLowerCase();
+  u.hash = '';
+  if ((u.protocol === 'https:' && u.port === '443') || (u.protocol === 'http:' && u.port === '80')) u.port = '';
+
+  // youtu.be/<id> is a fixed alias, no network needed
+  if (u.hostname === 'youtu.be' && u.pathname.length > 1) {
+    const v = u.pathname.slice(1);
+    u.hostname = 'www.youtube.com';
+    u.pathname = '/watch';
+    u.searchParams.set('v', v);
+  }
+
+  // Amazon embeds tracking as a /ref=... path segment
+  if (/(^|\.)amazon\./.test(u.hostname)) u.pathname = u.pathname.replace(/\/ref=[^/]*$/, '');
+
+  const kept = [...u.searchParams.entries()].filter(([k]) => !isTrackingParam(k));
+  kept.sort(([a], [b]) => a.localeCompare(b));
+  u.search = kept.length ? `?${new URLSearchParams(kept).toString()}` : '';
+
+  if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, '') || '/';
+  const out = u.href;
+  // URL always serializes a root path as "/"; drop it for bare hosts
+  return u.pathname === '/' && !u.search ? out.replace(/\/$/, '') : out;
+};
+
+// Identity for duplicate detection: canonical URL without scheme and "www.".
+export const urlKey = (raw) => canonicalizeUrl(raw).replace(/^https?:\/\//i, '').replace(/^www\./i, '');
+
+// First item (any bucket) that already holds this URL, comparing stored and page-declared canonical URLs.
+export const findDuplicate = (items, raw, { excludeId } = {}) => {
+  const key = urlKey(raw);
+  if (!key) return null;
+  return items.find(i => i.id !== excludeId && ((i.url && urlKey(i.url) === key) || (i.canonicalUrl && urlKey(i.canonicalUrl) === key))) || null;
+};